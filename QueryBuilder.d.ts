@@ -0,0 +1,495 @@
+// Type definitions for @commander-lol/pg-query
+// Requires TypeScript 5.0 or later
+
+/**
+ * A builder for a Postgres query. Builders bound to a `Table` schema infer the type of the rows they return from the
+ * selected properties, so that `run` and `first` resolve to typed rows
+ *
+ * @typeParam Row The type of a row of the table the builder is bound to
+ * @typeParam Selected The type of the properties selected so far
+ */
+declare class QueryBuilder<Row extends object = Record<string, any>, Selected extends object = {}> {
+	static defaults: QueryBuilder.BuilderOptions
+
+	static Where: {
+		(left: string | QueryBuilder.Sql, right?: unknown, operator?: string): QueryBuilder.Where
+		from(filter: QueryBuilder.Filter, compare?: (column: string, value: unknown, operator: string) => QueryBuilder.Sql): QueryBuilder.Sql
+	}
+	static Column(name: string): QueryBuilder.Column
+	static Literal(value: unknown): QueryBuilder.Literal
+	static Raw(...parts: Array<string | QueryBuilder.Sql>): QueryBuilder.Raw
+	static Select<A extends string | null = null>(column: string | QueryBuilder.Sql, as?: A): QueryBuilder.Select<A>
+	static Order(column: string | QueryBuilder.Sql, direction?: QueryBuilder.Direction | null, options?: QueryBuilder.OrderOptions): QueryBuilder.Order
+	static OrderFromInput(
+		input: string,
+		allowed: string[] | Record<string, string | QueryBuilder.Sql>,
+		options?: QueryBuilder.OrderOptions
+	): QueryBuilder.Order[]
+	static SubSelect(builderFn: QueryBuilder.NestedQuery, name?: string | null): QueryBuilder.SubSelect
+
+	static Fn(name: string, ...args: unknown[]): QueryBuilder.Fn
+	static Over(fn: QueryBuilder.Sql, window?: string | QueryBuilder.WindowSpec | QueryBuilder.Window): QueryBuilder.Over
+	static Window(spec?: QueryBuilder.WindowSpec): QueryBuilder.Window
+	static Null(): QueryBuilder.Null
+	static Cast(statement: string | QueryBuilder.Sql, type: string): QueryBuilder.Cast
+	static Excluded(name: string): QueryBuilder.Excluded
+	static Constraint(name: string): QueryBuilder.Constraint
+	static And(...conditions: Array<string | QueryBuilder.Sql>): QueryBuilder.And
+	static Or(...conditions: Array<string | QueryBuilder.Sql>): QueryBuilder.Or
+	static Not(condition: QueryBuilder.Sql): QueryBuilder.Not
+
+	static In(left: string | QueryBuilder.Sql, values: unknown[] | QueryBuilder.SubSelect): QueryBuilder.In
+	static NotIn(left: string | QueryBuilder.Sql, values: unknown[] | QueryBuilder.SubSelect): QueryBuilder.NotIn
+	static Between(left: string | QueryBuilder.Sql, low: unknown, high: unknown): QueryBuilder.Between
+	static Like(left: string | QueryBuilder.Sql, pattern: unknown, options?: QueryBuilder.LikeOptions): QueryBuilder.Like
+	static ILike(left: string | QueryBuilder.Sql, pattern: unknown, options?: QueryBuilder.LikeOptions): QueryBuilder.ILike
+	static IsNull(left: string | QueryBuilder.Sql): QueryBuilder.IsNull
+	static IsNotNull(left: string | QueryBuilder.Sql): QueryBuilder.IsNotNull
+	static Exists(select: QueryBuilder.SubSelect): QueryBuilder.Exists
+
+	static JsonGet(column: string | QueryBuilder.Sql, path: string | number | Array<string | number>, options?: { text?: boolean }): QueryBuilder.JsonGet
+	static JsonPath(column: string | QueryBuilder.Sql, path: string[], options?: { text?: boolean }): QueryBuilder.JsonPath
+	static JsonContains(column: string | QueryBuilder.Sql, value: unknown): QueryBuilder.JsonContains
+	static JsonContainedBy(column: string | QueryBuilder.Sql, value: unknown): QueryBuilder.JsonContainedBy
+	static JsonHasKey(column: string | QueryBuilder.Sql, key: string): QueryBuilder.JsonHasKey
+	static JsonHasAnyKey(column: string | QueryBuilder.Sql, keys: string[]): QueryBuilder.JsonHasAnyKey
+	static JsonHasAllKeys(column: string | QueryBuilder.Sql, keys: string[]): QueryBuilder.JsonHasAllKeys
+	static JsonPathExists(column: string | QueryBuilder.Sql, path: string, vars?: object | null): QueryBuilder.JsonPathExists
+
+	static TsVector(document: string | QueryBuilder.Sql, options?: { config?: string | null }): QueryBuilder.TsVector
+	static TsQuery(query: string, options?: QueryBuilder.TsQueryOptions): QueryBuilder.TsQuery
+	static TextSearch(document: string | QueryBuilder.Sql, query: string | QueryBuilder.Sql, options?: QueryBuilder.TsQueryOptions): QueryBuilder.TextSearch
+	static TsRank(
+		document: string | QueryBuilder.Sql,
+		query: string | QueryBuilder.Sql,
+		options?: QueryBuilder.TsQueryOptions & { normalization?: number | null, cover?: boolean }
+	): QueryBuilder.TsRank
+	static TsHeadline(
+		document: string | QueryBuilder.Sql,
+		query: string | QueryBuilder.Sql,
+		options?: QueryBuilder.TsQueryOptions & { headline?: Record<string, string | number | boolean> }
+	): QueryBuilder.TsHeadline
+
+	static Case(name: string, whenBranches: QueryBuilder.When[], elseBranch?: QueryBuilder.Else | null): QueryBuilder.Case
+	static When(condition: QueryBuilder.Where, select: QueryBuilder.SubSelect): QueryBuilder.When
+	static Else(select: QueryBuilder.SubSelect): QueryBuilder.Else
+
+	static Join(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+	static LateralCrossJoin(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+	static LateralLeftJoin(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+	static InnerJoin(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+	static OuterJoin(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+	static LeftOuterJoin(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+	static FullOuterJoin(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder.Join
+
+	static Union(builderFns: QueryBuilder.NestedQuery[], type?: string | null): QueryBuilder.Union
+	static UnionAll(...builderFns: QueryBuilder.NestedQuery[]): QueryBuilder.Union
+	static UnionDistinct(...builderFns: QueryBuilder.NestedQuery[]): QueryBuilder.Union
+
+	static SequelizeAdapter(sequelize: { query(sql: string, options: object): Promise<any> }, options?: object): QueryBuilder.Adapter
+	static PgAdapter(client: { query(config: { text: string, values: unknown[] }): Promise<{ rows: any[] }> }): QueryBuilder.Adapter
+	static MemoryAdapter(options?: QueryBuilder.MemoryAdapterOptions): QueryBuilder.MemoryAdapter
+
+	static Table<const N extends string, const C extends Record<string, QueryBuilder.ColumnSpec>>(
+		name: N,
+		columns: C
+	): QueryBuilder.Table<N, QueryBuilder.RowOf<C>>
+
+	static formatSql(text: string, options?: { indent?: string }): string
+
+	static encodeCursor(row: object, orderBy: QueryBuilder.KeysetTerm[]): string
+	static decodeCursor(token: string): unknown[]
+	static keysetPage<R>(rows: R[], options: { orderBy: QueryBuilder.KeysetTerm[], pageSize: number | string }): { rows: R[], next: string | null }
+
+	static fromJSON(json: QueryBuilder.QueryJSON, options?: { hardened?: boolean, allowRaw?: boolean }): QueryBuilder
+	static fromJSON(json: QueryBuilder.NodeJSON, options?: { hardened?: boolean, allowRaw?: boolean }): QueryBuilder.Sql | QueryBuilder
+
+	/**
+	 * Call a visitor for the JSON description of every part of a query, innermost first
+	 */
+	static visit(target: QueryBuilder<any, any> | QueryBuilder.Sql | QueryBuilder.NodeJSON, visitor: QueryBuilder.Visitor<void>): void
+
+	/**
+	 * Copy a query, replacing each part for which the visitor returns a replacement
+	 */
+	static transform<T extends QueryBuilder<any, any> | QueryBuilder.Sql | QueryBuilder.NodeJSON>(
+		target: T,
+		visitor: QueryBuilder.Visitor<QueryBuilder.Replacement>
+	): T extends QueryBuilder<any, any> ? QueryBuilder : T extends QueryBuilder.Sql ? QueryBuilder.Sql : QueryBuilder.NodeJSON
+
+	/**
+	 * Register a scope that is applied to every query on the matching tables, unless a query opts out with `unscoped`.
+	 * Object and `Sql` conditions must list the tables they apply to
+	 */
+	static addScope(
+		name: string,
+		condition: (target: QueryBuilder.ScopeTarget) => QueryBuilder.ScopeCondition | null,
+		options?: { tables?: Array<string | QueryBuilder.Table<string, any>> | null }
+	): void
+	static addScope(
+		name: string,
+		condition: QueryBuilder.ScopeCondition,
+		options: { tables: Array<string | QueryBuilder.Table<string, any>> }
+	): void
+	static removeScope(name: string): boolean
+
+	/**
+	 * Add chainable methods and SQL types to every builder. Names already used by the builder are rejected. Returns a
+	 * function that removes them again
+	 */
+	static extend(extension: { methods?: Record<string, QueryBuilder.Method>, types?: Record<string, QueryBuilder.SqlType> }): () => void
+
+	constructor(options?: { immutable?: boolean, hardened?: boolean })
+
+	clone(): QueryBuilder<Row, Selected>
+
+	table<R extends object>(table: QueryBuilder.Table<string, R>): QueryBuilder<R, {}>
+	table(name: string | QueryBuilder.Sql): QueryBuilder<Record<string, any>, {}>
+
+	with(name: string, query: QueryBuilder.NestedQuery | QueryBuilder<any, any> | QueryBuilder.Sql, options?: QueryBuilder.WithOptions): QueryBuilder<Row, Selected>
+	distinct(): QueryBuilder<Row, Selected>
+	distinctOn(...columns: Array<QueryBuilder.ColumnName<Row> | QueryBuilder.Sql>): QueryBuilder<Row, Selected>
+
+	/**
+	 * Add fields to the selection. The type of each field is taken from the table schema, while aliased `Select`
+	 * fields are typed as `unknown`
+	 */
+	property<F extends Array<QueryBuilder.Field<Row>>>(...fields: F): QueryBuilder<Row, Selected & QueryBuilder.Selection<Row, F>>
+
+	/**
+	 * Add fields to the `RETURNING` clause. Returned fields are added to the type of the rows resolved by `run`
+	 */
+	returning<F extends Array<QueryBuilder.Field<Row>>>(...fields: F): QueryBuilder<Row, Selected & QueryBuilder.Selection<Row, F>>
+
+	where(left: QueryBuilder.ColumnName<Row> | QueryBuilder.Sql | QueryBuilder.Filter<Row>, right?: unknown, operator?: string): QueryBuilder<Row, Selected>
+	having(left: string | QueryBuilder.Sql, right?: unknown, operator?: string): QueryBuilder<Row, Selected>
+	window(name: string, spec: QueryBuilder.WindowSpec | QueryBuilder.Window): QueryBuilder<Row, Selected>
+	limit(number: number | QueryBuilder.Sql | null): QueryBuilder<Row, Selected>
+	offset(number: number | QueryBuilder.Sql | null): QueryBuilder<Row, Selected>
+
+	join(join: QueryBuilder.Join): QueryBuilder<Row, Selected>
+	join(table: string | QueryBuilder.Sql, condition?: QueryBuilder.Sql | null, tableAlias?: string | null): QueryBuilder<Row, Selected>
+
+	order(...terms: QueryBuilder.Sql[]): QueryBuilder<Row, Selected>
+	order(
+		column: QueryBuilder.ColumnName<Row> | (keyof Selected & string) | QueryBuilder.Sql,
+		direction?: QueryBuilder.Direction | null,
+		options?: QueryBuilder.OrderOptions
+	): QueryBuilder<Row, Selected>
+	groupBy(...clauses: Array<string | QueryBuilder.Sql>): QueryBuilder<Row, Selected>
+
+	onConflict(
+		target?: QueryBuilder.ColumnName<Row> | Array<QueryBuilder.ColumnName<Row> | QueryBuilder.Sql> | QueryBuilder.Constraint,
+		options?: { update?: QueryBuilder.Values<Row> | Array<keyof Row & string> | null, where?: QueryBuilder.Sql | null }
+	): QueryBuilder<Row, Selected>
+
+	paginateAfter(
+		cursor: string | unknown[] | null,
+		options: { orderBy: QueryBuilder.KeysetTerm[], pageSize?: number | string | null }
+	): QueryBuilder<Row, Selected>
+	paranoid(fieldName?: string): QueryBuilder<Row, Selected>
+	unscoped(...names: string[]): QueryBuilder<Row, Selected>
+
+	select(...fields: Array<QueryBuilder.Field<Row>>): string
+	delete(): string
+	insert(rows: QueryBuilder.Values<Row> | Array<QueryBuilder.Values<Row>> | QueryBuilder.NestedQuery | QueryBuilder<any, any>, columns?: Array<keyof Row & string> | null): string
+	update(values: QueryBuilder.Values<Row>, options?: { unfiltered?: boolean }): string
+	count(options?: { distinct?: boolean, column?: QueryBuilder.ColumnName<Row> | QueryBuilder.Sql }): string
+
+	compile(statement: QueryBuilder.Statement, options: { style: 'positional' }, ...args: any[]): { text: string, values: unknown[] }
+	compile(statement: QueryBuilder.Statement, options?: { style?: 'named' }, ...args: any[]): { text: string, values: QueryBuilder.Replacements }
+
+	toDebugString(
+		statement?: QueryBuilder.Statement,
+		options?: { pretty?: boolean, sensitive?: Array<string | RegExp> },
+		...args: any[]
+	): string
+
+	run<R = QueryBuilder.Result<Row, Selected>>(adapter: QueryBuilder.Adapter, statement?: QueryBuilder.Statement, ...args: any[]): Promise<R[]>
+	first<F extends Array<QueryBuilder.Field<Row>>>(
+		adapter: QueryBuilder.Adapter,
+		...fields: F
+	): Promise<QueryBuilder.Result<Row, Selected & QueryBuilder.Selection<Row, F>> | null>
+
+	/**
+	 * Get the replacements of the most recently generated statement, or an empty object before the first statement
+	 */
+	getReplacements(): QueryBuilder.Replacements
+
+	toJSON(): QueryBuilder.QueryJSON
+	visit(visitor: QueryBuilder.Visitor<void>): this
+	transform(visitor: QueryBuilder.Visitor<QueryBuilder.Replacement>): QueryBuilder<Row, Selected>
+}
+
+declare namespace QueryBuilder {
+	type Replacements = Record<string, unknown>
+	type Statement = 'select' | 'delete' | 'insert' | 'update' | 'count'
+	type Direction = 'ASC' | 'DESC' | 'asc' | 'desc'
+	type NestedQuery = (builder: QueryBuilder) => string
+
+	interface BuilderOptions {
+		immutable: boolean
+		hardened: boolean
+		sensitive: Array<string | RegExp>
+	}
+
+	/**
+	 * The base class of every SQL object, which can be extended to create custom types for `QueryBuilder.extend`
+	 */
+	class Sql {
+		toSql(): string
+		getReplacements(): Replacements
+		columns(): Column[]
+		toJSON(): NodeJSON
+		static fromJSON(json: NodeJSON): Sql
+	}
+
+	type SqlType = (new (...args: any[]) => Sql) & { fromJSON(json: NodeJSON): Sql }
+
+	/** Every SQL type, including those added with `QueryBuilder.extend`, by name */
+	const types: { Sql: typeof Sql } & Record<string, new (...args: any[]) => any>
+
+	type Method = (builder: QueryBuilder<any, any>, ...args: any[]) => QueryBuilder<any, any>
+
+	/** The JSON description of a part of a query, with properties that depend on its type */
+	interface NodeJSON {
+		type: string
+		[key: string]: unknown
+	}
+
+	interface QueryJSON extends NodeJSON {
+		type: 'QueryBuilder'
+		options: { immutable: boolean, hardened: boolean }
+		replacements: Replacements
+	}
+
+	type ScopeCondition = Record<string, unknown> | Sql
+
+	interface ScopeTarget {
+		table: string
+		alias: string | null
+		schema: Table<string, any> | null
+		statement: Statement
+	}
+
+	type Replacement = NodeJSON | Sql | QueryBuilder<any, any> | null | undefined | void
+	type Visitor<R> = ((json: NodeJSON) => R) | { [type: string]: (json: NodeJSON) => R }
+
+	interface Column extends Sql { readonly _parts: string[] }
+	interface Literal extends Sql {}
+	interface Raw extends Sql {}
+	interface Cast extends Sql {}
+	interface Null extends Sql {}
+	interface Excluded extends Column {}
+	interface Constraint extends Sql {}
+	interface Fn extends Sql {}
+	interface Joinder extends Sql {}
+	interface And extends Joinder {}
+	interface Or extends Joinder {}
+
+	interface Where extends Sql {}
+	interface In extends Where {}
+	interface NotIn extends Where {}
+	interface Between extends Where {}
+	interface Like extends Where {}
+	interface ILike extends Like {}
+	interface IsNull extends Where {}
+	interface IsNotNull extends Where {}
+	interface Exists extends Where {}
+	interface Not extends Where {}
+
+	interface Select<A extends string | null = string | null> extends Sql { readonly _as: A }
+	interface Order extends Sql {}
+	interface Window extends Sql {}
+	interface Over extends Sql {}
+
+	interface SubSelect extends Sql {}
+	interface Union extends Sql {}
+	interface With extends Sql {}
+	interface Join extends Sql {
+		isFromItem(): boolean
+		toFromItem(): string
+	}
+
+	interface JsonGet extends Sql {}
+	interface JsonPath extends Sql {}
+	interface JsonContains extends Where {}
+	interface JsonContainedBy extends Where {}
+	interface JsonHasKey extends Where {}
+	interface JsonHasAnyKey extends Where {}
+	interface JsonHasAllKeys extends Where {}
+	interface JsonPathExists extends Where {}
+
+	interface TsVector extends Fn {}
+	interface TsQuery extends Fn {}
+	interface TextSearch extends Where {}
+	interface TsRank extends Fn {}
+	interface TsHeadline extends Fn {}
+
+	interface When extends Sql {}
+	interface Else extends Sql {}
+	interface Case extends Sql {}
+
+	interface OrderOptions {
+		nulls?: 'FIRST' | 'LAST' | 'first' | 'last' | null
+	}
+
+	type FrameBound = string | { preceding: number | Sql } | { following: number | Sql }
+	interface WindowSpec {
+		window?: string | null
+		partitionBy?: Array<string | Sql>
+		orderBy?: Array<string | [string | Sql, Direction?] | Sql>
+		frame?: { type?: 'ROWS' | 'RANGE' | 'GROUPS', start: FrameBound, end?: FrameBound | null, exclude?: string | null } | null
+	}
+
+	interface WithOptions {
+		recursive?: boolean
+		materialized?: boolean | null
+		columns?: string[]
+	}
+
+	interface LikeOptions {
+		match?: 'exact' | 'prefix' | 'suffix' | 'contains' | null
+	}
+
+	interface TsQueryOptions {
+		config?: string | null
+		parser?: 'websearch' | 'plain' | 'phrase' | 'raw'
+	}
+
+	type KeysetTerm = string | [string | Sql, Direction?] | { column: string | Sql, direction?: Direction, key?: string }
+
+	interface Adapter {
+		readonly style: 'named' | 'positional'
+		query(text: string, values: unknown[] | Replacements): Promise<any[]>
+	}
+
+	interface MemoryAdapterOptions {
+		style?: 'named' | 'positional'
+		handler?: (text: string, values: unknown[] | Replacements) => any[]
+	}
+
+	interface MemoryAdapter extends Adapter {
+		queries: Array<{ text: string, values: unknown[] | Replacements }>
+		respond(rows: any[] | Error): MemoryAdapter
+	}
+
+	// --- Schemas
+
+	/**
+	 * The types that node-postgres returns for each Postgres type by default. Types not listed here are `unknown`
+	 */
+	interface PgTypes {
+		'text': string
+		'varchar': string
+		'character varying': string
+		'char': string
+		'character': string
+		'citext': string
+		'name': string
+		'uuid': string
+		'inet': string
+		'cidr': string
+		'macaddr': string
+		'tsvector': string
+		'time': string
+		'timetz': string
+		'smallint': number
+		'int2': number
+		'integer': number
+		'int': number
+		'int4': number
+		'serial': number
+		'real': number
+		'float4': number
+		'double precision': number
+		'float8': number
+		'bigint': string
+		'int8': string
+		'bigserial': string
+		'numeric': string
+		'decimal': string
+		'money': string
+		'boolean': boolean
+		'bool': boolean
+		'date': Date
+		'timestamp': Date
+		'timestamptz': Date
+		'timestamp with time zone': Date
+		'timestamp without time zone': Date
+		'json': unknown
+		'jsonb': unknown
+		'bytea': Uint8Array
+	}
+
+	type BaseType<T extends string> = T extends `${ infer B }(${ string }` ? B : T
+
+	/**
+	 * The JavaScript type of a value of the given Postgres type, e.g. `PgValue<'int4[]'>` is `number[]`
+	 */
+	type PgValue<T extends string> = Lowercase<T> extends `${ infer E }[]`
+		? Array<PgValue<E>>
+		: BaseType<Lowercase<T>> extends keyof PgTypes ? PgTypes[BaseType<Lowercase<T>>] : unknown
+
+	type ColumnSpec = string | { type: string, nullable?: boolean, cast?: boolean | null }
+
+	interface ColumnDefinition {
+		type: string
+		nullable: boolean
+		cast: boolean | null
+	}
+
+	type ColumnValue<S> = S extends string
+		? PgValue<S> | null
+		: S extends { type: infer T extends string } ? PgValue<T> | (S extends { nullable: false } ? never : null) : unknown
+
+	/**
+	 * The type of a row of a table with the given column definitions
+	 */
+	type RowOf<C> = { -readonly [K in keyof C]: ColumnValue<C[K]> }
+
+	interface Table<N extends string = string, Row extends object = Record<string, any>> {
+		readonly name: N
+		readonly columnNames: Array<keyof Row & string>
+		column(name: keyof Row & string): ColumnDefinition
+		resolve(parts: string[], options?: { strict?: boolean }): ColumnDefinition | null
+		cast<K extends keyof Row & string>(name: K, value: Row[K] | Sql): unknown
+		bind<K extends keyof Row & string>(name: K, value: Row[K] | Sql): Sql
+	}
+
+	// --- Selections
+
+	type ColumnName<Row> = (keyof Row & string) | `${ string }.${ keyof Row & string }` | '*' | `${ string }.*`
+	type Field<Row> = ColumnName<Row> | Sql
+	type Values<Row> = { [K in keyof Row]?: Row[K] | Sql }
+
+	type Filter<Row = Record<string, any>> = { [K in keyof Row]?: unknown } & {
+		$or?: Array<Filter<Row>>
+		$and?: Array<Filter<Row>>
+		$not?: Filter<Row>
+	}
+
+	type FieldSelection<Row, F> = F extends '*' | `${ string }.*`
+		? Row
+		: F extends keyof Row
+			? { [P in F]: Row[F] }
+			: F extends `${ string }.${ infer C }`
+				? C extends keyof Row ? { [P in C]: Row[C] } : {}
+				: F extends Select<infer A>
+					? A extends string ? (string extends A ? {} : { [P in A]: unknown }) : {}
+					: {}
+
+	type UnionToIntersection<U> = (U extends unknown ? (arg: U) => void : never) extends (arg: infer I) => void ? I : never
+
+	/**
+	 * The type of the properties selected by a list of fields
+	 */
+	type Selection<Row, F extends unknown[]> = F extends [] ? {} : UnionToIntersection<FieldSelection<Row, F[number]>>
+
+	/**
+	 * The type of the rows returned by a query. If no properties have been selected, every column is returned
+	 */
+	type Result<Row, Selected> = {} extends Selected ? Row : { [K in keyof Selected]: Selected[K] }
+}
+
+export = QueryBuilder
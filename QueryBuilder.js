@@ -1,25 +1,18 @@
 /** @module src/database/QueryBuilder */
 
-const hex = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', 'a', 'b', 'c', 'd', 'e', 'f']
+let identCounter = 0
 /**
- * Generate a hexadecimal string of the given length in a synchronous and insecure manner.
- * The return value of this function should not be used in a secure context, but can be
- * used to easily generate a unique identifier in scenarios where security is not important
- * and synchronous execution is a requirement
+ * Generate the internal identifier of a replacement, which tells replacements apart even when they were created by
+ * unrelated builders and later merged together. These identifiers only appear when an `Sql` object is used on its
+ * own; a {@link QueryBuilder} names each placeholder by its position in the statement as it generates it, so that the
+ * same query structure always produces the same text
  *
- * @param {number} length The number of characters to generate. Unlike
- * the {@link module:core/utils/crypto.secureHexString|secureHexString} function, the length
- * specified is the exact length of the output string.
- *
- * @returns {string} A string of hexadecimal characters. Not guaranteed to be secure or insecure
+ * @param {string} prefix A prefix describing the kind of value being replaced, to aid debugging
+ * @returns {string} A unique identifier that is valid as a placeholder name
  */
-function insecureHexString(length) {
-	const buffer = []
-	for (let i = 0; i < length; i += 1) {
-		const char = hex[Math.floor(Math.random() * hex.length)]
-		buffer.push(char)
-	}
-	return buffer.join('')
+function nextIdent(prefix) {
+	identCounter += 1
+	return `${ prefix }${ identCounter }`
 }
 
 /**
@@ -41,15 +34,168 @@ class Sql {
 
 	/**
 	 * Get the replacements generated for this type's SQL string, based on the parameters it was constructed with. These
-	 * should be passable directly into the `Sequelize.query` options object
+	 * should be passable directly into the `Sequelize.query` options object. By default, the replacements of every `Sql`
+	 * object found in the properties of this object are merged, so types that bind their values through child objects
+	 * such as a `Literal` do not need to override this
 	 *
 	 * @returns {{}} An Object mapping replacement placeholder names to concrete values that will be used in the query
 	 */
-	getReplacements() { return { } }
+	getReplacements() {
+		return collectReplacements(Object.keys(this).map(key => this[key])) // eslint-disable-line no-use-before-define
+	}
+
+	/**
+	 * Get every column referenced by this SQL object, including those referenced by any nested SQL objects. This is
+	 * used to check the columns of a query against a {@link module:src/database/QueryBuilder~Table|Table} schema. By
+	 * default, every `Sql` object found in the properties of this object is searched; types holding identifiers that
+	 * are not columns (e.g. aliases or window names) should override this to leave them out
+	 *
+	 * @returns {Array.<module:src/database/QueryBuilder~Column>} The referenced columns
+	 */
+	columns() {
+		return collectColumns(Object.keys(this).map(key => this[key])) // eslint-disable-line no-use-before-define
+	}
+
+	/**
+	 * Create a structured, JSON serializable description of this SQL object, which can be inspected or changed with
+	 * {@link QueryBuilder.visit} and {@link QueryBuilder.transform}, and turned back into an SQL object with
+	 * {@link QueryBuilder.fromJSON}. Every description has a `type` naming the class it was created from; child SQL
+	 * objects are described in the same way, and any other values are wrapped as `{ type: 'Value', value }`
+	 *
+	 * By default, every property of this object is described under `properties`. The built in types override this with
+	 * a description of the arguments they were constructed with
+	 *
+	 * @returns {{type: string}} The description of this object
+	 */
+	toJSON() {
+		/* eslint-disable no-use-before-define */
+		const properties = Object.keys(this).reduce((acc, key) => Object.assign(acc, { [key]: encodeArgument(this[key]) }), {})
+		/* eslint-enable no-use-before-define */
+		return { type: this.constructor.name, properties }
+	}
+
+	/**
+	 * Create an SQL object from the description created by `toJSON`. By default, the object is created without calling
+	 * its constructor, with the properties described by the default `toJSON`
+	 *
+	 * @param {{type: string}} json The description of the object
+	 * @returns {module:src/database/QueryBuilder~Sql} The SQL object
+	 */
+	static fromJSON({ properties = {} }) {
+		const node = Object.create(this.prototype)
+		Object.keys(properties).forEach(key => {
+			node[key] = decodeArgument(properties[key]) // eslint-disable-line no-use-before-define
+		})
+		return node
+	}
 }
 
 // --- Utilities
 
+/**
+ * Wrap an identifier in double quotes, escaping any double quotes it contains by doubling them, so that the identifier
+ * can never end early and inject SQL into the query
+ *
+ * @param {string} name The identifier to quote
+ * @returns {string} The quoted identifier
+ */
+function quoteIdentifier(name) {
+	return `"${ String(name).replace(/"/g, '""') }"`
+}
+
+/**
+ * The operators that are accepted by a hardened {@link QueryBuilder}. Keyword operators are compared case-insensitively
+ * with their whitespace normalised
+ *
+ * @type {Array.<string>}
+ */
+const OPERATORS = [
+	'=', '<>', '!=', '<', '>', '<=', '>=',
+	'IS', 'IS NOT', 'IS DISTINCT FROM', 'IS NOT DISTINCT FROM',
+	'IN', 'NOT IN', 'BETWEEN', 'NOT BETWEEN',
+	'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE', 'SIMILAR TO', 'NOT SIMILAR TO',
+	'~~', '!~~', '~~*', '!~~*', '~', '~*', '!~', '!~*',
+	'@>', '<@', '&&', '?', '?|', '?&', '@?', '@@',
+	'<<', '>>', '&<', '&>', '-|-', '<->',
+]
+
+/**
+ * Names that may be written as-is by a hardened builder, such as function names and aliases. Names may be qualified
+ * with a schema
+ */
+const SAFE_NAME = /^[A-Za-z_][A-Za-z0-9_$]*(\.[A-Za-z_][A-Za-z0-9_$]*)?$/
+
+/**
+ * Type names that may be written as-is in a `Cast`, e.g. `integer`, `timestamp with time zone`, `varchar(20)` or
+ * `text[]`
+ */
+const SAFE_TYPE = /^[A-Za-z_][A-Za-z0-9_$]*(\.[A-Za-z_][A-Za-z0-9_$]*)?( [A-Za-z_]+)*(\([0-9, ]+\))?(\[\])*$/
+
+/**
+ * The affixes that the built in conditions wrap themselves in
+ */
+const AFFIXES = { prefix: ['', 'EXISTS ', 'NOT ('], suffix: ['', ')'] }
+
+/**
+ * Ensure that a condition, and any conditions nested inside it, only uses operators from the list of known Postgres
+ * operators. Every `Sql` object found in the properties of the condition is checked, including the builders of nested
+ * queries such as a `SubSelect`, which are checked as if they were hardened. The parts of other objects that are
+ * written as-is, such as function names, cast types and aliases, must also be simple names, so that objects
+ * recreated from JSON can not smuggle SQL into a hardened query. `Raw` objects are always trusted
+ *
+ * @param {*|module:src/database/QueryBuilder~Sql} condition The condition to check, or a (nested) list of them
+ * @throws {TypeError} If an unknown operator is found
+ */
+function assertSafeCondition(condition) {
+	/* eslint-disable no-use-before-define */
+	if (Array.isArray(condition)) {
+		condition.forEach(assertSafeCondition)
+		return
+	}
+	if (condition instanceof QueryBuilder) {
+		condition._assertSafe()
+		return
+	}
+	if (!(condition instanceof Sql)) {
+		return
+	}
+	if (condition instanceof Where) {
+		if (condition._operator != null) {
+			const operator = String(condition._operator).trim().replace(/\s+/g, ' ').toUpperCase()
+			if (!OPERATORS.includes(operator)) {
+				throw new TypeError(`Unsafe or unknown operator "${ condition._operator }"`)
+			}
+		}
+		if (!AFFIXES.prefix.includes(condition._prefix) || !AFFIXES.suffix.includes(condition._suffix)) {
+			throw new TypeError('Unsafe or unknown condition prefix or suffix')
+		}
+	} else if (condition instanceof Fn && condition._name !== '' && !SAFE_NAME.test(condition._name)) {
+		throw new TypeError(`Unsafe function name "${ condition._name }"`)
+	} else if (condition instanceof Cast && !SAFE_TYPE.test(condition._type)) {
+		throw new TypeError(`Unsafe type name "${ condition._type }"`)
+	} else if (condition instanceof Select && condition._as != null && !SAFE_NAME.test(condition._as)) {
+		throw new TypeError(`Unsafe alias "${ condition._as }"`)
+	} else if (condition instanceof Union && ![null, 'ALL', 'DISTINCT'].includes(condition._type)) {
+		throw new TypeError(`Unsafe union type "${ condition._type }"`)
+	} else if (condition instanceof Raw) {
+		return
+	}
+	Object.keys(condition).forEach(key => assertSafeCondition(condition[key]))
+	/* eslint-enable no-use-before-define */
+}
+
+/**
+ * Ensure that a `GROUP BY` term given as a string, which is written as-is, is a (qualified) column name or a position
+ *
+ * @param {*|module:src/database/QueryBuilder~Sql} clause The term to check
+ * @throws {TypeError} If the term is any other string
+ */
+function assertSafeGroupBy(clause) {
+	if (typeof clause === 'string' && !/^([A-Za-z_][A-Za-z0-9_$]*(\.[A-Za-z_][A-Za-z0-9_$]*)*|[1-9][0-9]*)$/.test(clause)) {
+		throw new TypeError(`Unsafe GROUP BY term "${ clause }"; use a Column or Sql object for expressions`)
+	}
+}
+
 /**
  * Processes a list of objects that could either be {@link module:src/database/QueryBuilder~Sql|Sql} objects or some
  * non-important value. The result is an object containing all of the replacements for the values in the list
@@ -86,783 +232,4710 @@ function concatPossibleSqlList(list, concatBy = ', ') {
 		return item
 	}).join(concatBy)
 }
-// ---
 
-// --- Base Types
 /**
- * @class
- * @classdesc Represents a raw sql string that will not be processed in any way, other than to join any parts provided.
- * This type is useful for circumventing any custom processing for query parts that cannot be represented faithfully by
- * other `Sql` constructs
+ * Check whether a value is a plain object literal, as opposed to an instance of a class such as a `Date` or an `Sql`
+ * object
  *
- * @extends module:src/database/QueryBuilder~Sql
+ * @param {*} value The value to check
+ * @returns {boolean} True if the value was created as an object literal
  */
-class Raw extends Sql {
-	constructor(...parts) {
-		super()
-		this._parts = parts
+function isPlainObject(value) {
+	if (value == null || typeof value !== 'object') {
+		return false
 	}
+	const proto = Object.getPrototypeOf(value)
+	return proto === Object.prototype || proto === null
+}
 
-	toSql() {
-		return this._parts.map(part => {
-			if (part instanceof Sql) {
-				return part.toSql()
-			}
-			return part
-		}).join(' ')
+/**
+ * Normalise the ordering used for keyset pagination. Each entry can be a column name (sorted ascending), a
+ * `[column, direction]` pair or an object of the form `{ column, direction, key }`, where `key` is the property of a
+ * result row holding the column's value. The key defaults to the last part of the column name
+ *
+ * @param {Array.<(string|Array|Object)>} orderBy The ordering to normalise
+ * @returns {Array.<{column: (string|module:src/database/QueryBuilder~Sql), direction: string, key: string}>} The
+ * normalised ordering
+ */
+function normaliseKeyset(orderBy) {
+	if (!Array.isArray(orderBy) || orderBy.length < 1) {
+		throw new TypeError('Keyset pagination requires at least one column to order by')
 	}
 
-	getReplacements() {
-		return this._parts
-			.map(part => {
-				if (part instanceof Sql) {
-					return part.getReplacements()
-				}
-				return null
-			})
-			.filter(Boolean)
-			.reduce((reps, current) => Object.assign({}, reps, current), {})
-	}
+	return orderBy.map(entry => {
+		let spec = entry
+		if (typeof entry === 'string' || entry instanceof Sql) {
+			spec = { column: entry }
+		} else if (Array.isArray(entry)) {
+			const [column, direction] = entry
+			spec = { column, direction }
+		}
+
+		const { column, direction = 'ASC' } = spec
+		let { key } = spec
+		if (key == null) {
+			if (typeof column !== 'string') {
+				throw new TypeError('Keyset pagination requires a row key for columns that are not named')
+			}
+			key = column.split('.').pop()
+		}
+
+		const normalised = String(direction).toUpperCase()
+		if (!['ASC', 'DESC'].includes(normalised)) {
+			throw new TypeError(`Invalid sort direction "${ direction }", expected one of ASC, DESC`)
+		}
+		return { column, direction: normalised, key }
+	})
 }
 
 /**
- * @class
- * @classdesc Represents an SQL column name. Column names typically receive different handling by SQL engines to
- * differentiate them from values because they usually appear in the same positions in a query. The Column name
- * will be wrapped with quotes, preventing the names from clashing with built in keywords - namespacing is also
- * supported, so table and column names will be wrapped separately. The asterisk character should never be wrapped
- * with quotes, and will receive special handling when encountered as a column name
+ * Normalise the page size used for keyset pagination, accepting numeric strings such as those taken from a query
+ * string
  *
- * @extends module:src/database/QueryBuilder~Sql
+ * @param {number|string} pageSize The number of rows in each page
+ * @returns {number} The page size
+ * @throws {TypeError} If the page size is not a positive integer
  */
-class Column extends Sql {
-	constructor(name) {
-		super()
-		if (name === '*') {
-			this._name = name
-		} else {
-			const parts = name.split('.')
-			this._name = parts.map(part => {
-				if (part === '*') {
-					return '*'
-				}
-				return `"${ part }"`
-			}).join('.')
-		}
+function normalisePageSize(pageSize) {
+	const size = typeof pageSize === 'string' && pageSize.trim() !== '' ? Number(pageSize) : pageSize
+	if (!Number.isSafeInteger(size) || size < 1) {
+		throw new TypeError(`Page size must be a positive integer, got "${ pageSize }"`)
 	}
-	toSql() { return this._name }
+	return size
 }
 
-class Literal extends Sql {
-	constructor(value) {
-		super()
-		this._ident = `lit${ insecureHexString(8) }`
-		this._replacements = { [this._ident]: value }
+/**
+ * Find every column referenced by a value, which may be an `Sql` object or a (nested) list of them. Any other value
+ * references no columns
+ *
+ * @param {*} value The value to search
+ * @returns {Array.<module:src/database/QueryBuilder~Column>} The referenced columns
+ */
+function collectColumns(value) {
+	if (Array.isArray(value)) {
+		return value.reduce((columns, item) => columns.concat(collectColumns(item)), [])
 	}
-
-	toSql() {
-		return `:${ this._ident }`
+	if (value instanceof Sql) {
+		return value.columns()
 	}
+	return []
+}
 
-	getReplacements() {
-		return this._replacements
+/**
+ * Merge the replacements of a value, which may be an `Sql` object or a (nested) list of them. Any other value has no
+ * replacements
+ *
+ * @param {*} value The value to search
+ * @returns {{}} The merged replacements
+ */
+function collectReplacements(value) {
+	if (Array.isArray(value)) {
+		return value.reduce((replacements, item) => Object.assign(replacements, collectReplacements(item)), {})
 	}
+	if (value instanceof Sql) {
+		return value.getReplacements()
+	}
+	return {}
 }
 
 /**
- * @class
- * @classdesc Represents a data cast from a value to another type. No check is actually made by the QueryBuilder to ensure
- * that the `lvalue` is compatible with the type being cast to
+ * Find the columns that bound values are compared with in a condition, such as `"password" = :where12`. Values bound
+ * inside a nested condition are attributed to the innermost column they are compared with, values passed to a function
+ * along with a column (e.g. `crypt(:func3, "password")`) are attributed to that column, and the columns of a
+ * `SubSelect` are taken from the statement its builder generated
  *
- * @extends module:src/database/QueryBuilder~Sql
+ * @param {*} value The condition, or a (nested) list of conditions
+ * @returns {Object.<string, string>} An object mapping replacement identifiers to the unqualified column names
  */
-class Cast extends Sql {
-	constructor(statement, type) {
-		super()
-		this._replacements = {}
-		if (statement instanceof Sql) {
-			this._statement = statement
-			Object.assign(this._replacements, statement.getReplacements())
-		} else {
-			this._statement = new Column(statement)
-		}
-
-		this._type = type
+function columnBindings(value) {
+	if (Array.isArray(value)) {
+		return value.reduce((bindings, item) => Object.assign(bindings, columnBindings(item)), {})
+	}
+	if (!(value instanceof Sql)) {
+		return {}
 	}
 
-	toSql() { return `${ this._statement.toSql() }::${ this._type }` }
-	getReplacements() { return this._replacements }
+	/* eslint-disable no-use-before-define */
+	if (value instanceof SubSelect) {
+		return value._bindings
+	}
+	const nested = columnBindings(Object.keys(value).map(key => value[key]))
+	let column = null
+	if (value instanceof Where) {
+		column = [value._left, value._right].find(side => side instanceof Column)
+	} else if (value instanceof Fn) {
+		column = value._args.find(arg => arg instanceof Column)
+	}
+	/* eslint-enable no-use-before-define */
+	if (column == null) {
+		return nested
+	}
+	const name = column._parts[column._parts.length - 1]
+	const bindings = Object.keys(value.getReplacements()).reduce((acc, ident) => Object.assign(acc, { [ident]: name }), {})
+	return Object.assign(bindings, nested)
 }
 
 /**
- * @class
- * @abstract
- * @classdesc The base class for representing a series of related conditional queries that should be grouped together.
- * This class doesn't include any operators, and as such should not be used directly. Instead, it provides the common
- * serialization logic for all child joinder types
+ * The placeholders of the statement being generated by a {@link QueryBuilder}, while it is being generated
  *
- * @extends module:src/database/QueryBuilder~Sql
+ * @type {?{positions: Map.<string, number>, values: Object, columns: Object.<string, string>, format: Function}}
  */
-class Joinder extends Sql {
-	/**
-	 * Get the joinder term to use in the SQL query. This would be a value such as `AND` for the condition
-	 * `(foo AND bar AND baz)`
-	 * @returns {string}
-	 * @protected
-	 */
-	_term() { return '' }
-
-	constructor(...conditions) {
-		super()
-		this._conditions = conditions
-	}
+let naming = null
 
-	toSql() {
-		if (this._conditions.length < 2) {
-			const [condition] = this._conditions
-			if (condition instanceof Sql) {
-				return condition.toSql()
-			}
-			return condition
-		}
-		return `(${ concatPossibleSqlList(this._conditions, ` ${ this._term() } `) })`
+/**
+ * Create the placeholder for a replacement. While a builder is generating a statement, each replacement is named by
+ * its position in that statement, in the order they are generated; a replacement that is used more than once keeps the
+ * position it was first given. Outside of a statement, such as when calling `toSql` on an `Sql` object directly, the
+ * internal identifier of the replacement is used
+ *
+ * @param {string} ident The internal identifier of the replacement
+ * @param {*} value The value of the replacement
+ * @returns {string} The placeholder
+ */
+function placeholder(ident, value) {
+	if (naming == null) {
+		return `:${ ident }`
 	}
-
-	getReplacements() {
-		return this._conditions
-			.map(sql => {
-				if (sql instanceof Sql) {
-					return sql.getReplacements()
-				}
-				return null
-			})
-			.filter(Boolean)
-			.reduce((reps, current) => Object.assign({}, reps, current), {})
+	if (!naming.positions.has(ident)) {
+		naming.positions.set(ident, naming.positions.size + 1)
+		naming.values[`p${ naming.positions.size }`] = value
 	}
+	return naming.format(naming.positions.get(ident))
 }
 
-class And extends Joinder {
-	_term() {
-		return 'AND'
+/**
+ * Generate a statement, naming its placeholders by position
+ *
+ * @param {function(number): string} format Creates the placeholder for a (1-based) position
+ * @param {function(): string} generate Generates the statement
+ * @returns {*} The result of `generate`
+ */
+function withNaming(format, generate) {
+	const previous = naming
+	naming = { positions: new Map(), values: {}, columns: {}, format }
+	try {
+		return generate()
+	} finally {
+		naming = previous
 	}
 }
 
-class Or extends Joinder {
-	_term() {
-		return 'OR'
+/**
+ * Generate SQL outside of any statement being generated, so that its placeholders keep their internal identifiers
+ * rather than being named ahead of the parts of the statement before them. This is used to create nested queries,
+ * which are named once they are used by a statement, and to compare expressions
+ *
+ * @param {function(): *} generate Generates the SQL
+ * @returns {*} The result of `generate`
+ */
+function outsideStatement(generate) {
+	const previous = naming
+	naming = null
+	try {
+		return generate()
+	} finally {
+		naming = previous
 	}
 }
 
-class Fn extends Sql { // Called Fn to avoid conflicting with existing 'Function' constructor type
-	constructor(name, ...args) {
-		super()
-		this._name = name
-		this._replacements = {}
-		this._args = args.map(arg => {
-			if (arg instanceof Sql) {
-				Object.assign(this._replacements, arg.getReplacements())
-				return arg
-			}
-			const ident = `func${ insecureHexString(8) }`
-			this._replacements[ident] = arg
-			return `:${ ident }`
-		})
+/**
+ * Get the text of a nested query for the statement being generated. Nested builders are generated again with the
+ * same terminal method, in the same way as when they are loaded from JSON, so that their placeholders are named by
+ * the statement containing them. Outside of a statement, the text returned when the nested query was created is used
+ *
+ * @param {QueryBuilder} builder The nested builder
+ * @param {string} sql The text returned for the nested query when it was created
+ * @returns {string} The text of the nested query
+ */
+function nestedSql(builder, sql) {
+	const statement = builder == null ? null : builder._statement
+	if (naming == null || statement == null || statement.terminal == null) {
+		return sql
 	}
+	return builder[statement.terminal.statement](...statement.terminal.args)
+}
 
-	toSql() {
-		const buffer = [this._name, '(']
-		const args = []
-		this._args.forEach(arg => {
-			if (arg instanceof Sql) {
-				args.push(arg.toSql())
-			} else {
-				args.push(arg)
-			}
-		})
-
-		buffer.push(args.join(', '))
-		buffer.push(')')
+/**
+ * Quote a string as a Postgres string literal, doubling any single quotes it contains. Backslashes have no special
+ * meaning in standard conforming strings, so they are left as-is
+ *
+ * @param {string} text The string to quote
+ * @returns {string} The string literal
+ */
+function quoteLiteral(text) {
+	return `'${ text.replace(/'/g, '\'\'') }'`
+}
 
-		return buffer.join('')
+/**
+ * Serialize a replacement value as a Postgres literal that can be inlined into a query. Lists become `ARRAY[...]`
+ * constructors, dates become ISO 8601 timestamps, buffers become `bytea` literals and other objects are serialized as
+ * JSON strings
+ *
+ * @param {*} value The value to serialize
+ * @returns {string} The literal
+ */
+function postgresLiteral(value) {
+	if (value == null) {
+		return 'NULL'
 	}
-
-	getReplacements() {
-		return this._replacements
+	if (typeof value === 'boolean') {
+		return value ? 'TRUE' : 'FALSE'
+	}
+	if (typeof value === 'number') {
+		return Number.isFinite(value) ? String(value) : `${ quoteLiteral(String(value)) }::float8`
+	}
+	if (typeof value === 'bigint') {
+		return String(value)
+	}
+	if (value instanceof Date) {
+		return quoteLiteral(Number.isNaN(value.getTime()) ? String(value) : value.toISOString())
+	}
+	if (Buffer.isBuffer(value)) {
+		return `'\\x${ value.toString('hex') }'::bytea`
+	}
+	if (Array.isArray(value)) {
+		return value.length > 0 ? `ARRAY[${ value.map(postgresLiteral).join(', ') }]` : '\'{}\''
+	}
+	if (typeof value === 'object') {
+		return quoteLiteral(JSON.stringify(value))
 	}
+	return quoteLiteral(String(value))
 }
 
 /**
- * @class
- * @classdesc Represents the literal value `NULL`. This class is used to prevent any alternative processing of a
- * javascript literal `null`, for example in the `rvalue` position of a `Where` object when performing a
- * `WHERE column IS NULL` query
+ * The keywords that start a new clause of a statement, in the order they should be matched so that longer keywords
+ * are found before their prefixes
  */
-class Null extends Sql {
-	/**
-	 * @returns {string} The literal string `NULL`
-	 */
-	toSql() {
-		return 'NULL'
+const CLAUSES = [
+	'WITH RECURSIVE', 'WITH', 'SELECT', 'INSERT INTO', 'DO UPDATE SET', 'DO NOTHING', 'UPDATE', 'DELETE', 'VALUES', 'SET', 'FROM',
+	'LEFT OUTER JOIN', 'FULL OUTER JOIN', 'OUTER JOIN', 'LEFT JOIN', 'INNER JOIN', 'CROSS JOIN', 'JOIN',
+	'WHERE', 'GROUP BY', 'HAVING', 'WINDOW', 'ORDER BY', 'LIMIT', 'OFFSET', 'ON CONFLICT', 'RETURNING',
+	'UNION ALL', 'UNION',
+].map(clause => clause.split(' '))
+
+/**
+ * Split a query into tokens for formatting. Whitespace, quoted identifiers and string literals are kept as single
+ * tokens, so that the formatter never looks inside them
+ *
+ * @param {string} text The query to split
+ * @returns {Array.<string>} The tokens, which join together to form the original query
+ */
+function tokenizeSql(text) {
+	return text.match(/\s+|"(?:[^"]|"")*"|'(?:[^']|'')*'|\w+|[^]/g) || []
+}
+
+/**
+ * Find the clause keyword starting at a token, if any
+ *
+ * @param {Array.<string>} tokens The tokens of the query
+ * @param {number} index The position of the first token to check
+ * @returns {?{text: string, end: number}} The keyword as written, and the position of the token following it
+ */
+function matchClause(tokens, index) {
+	const clause = CLAUSES.find(words => words.every((word, offset) => {
+		const token = tokens[index + (offset * 2)]
+		const separator = offset === 0 || /^\s+$/.test(tokens[index + (offset * 2) - 1] || '')
+		return separator && token != null && token.toUpperCase() === word
+	}))
+	if (clause == null) {
+		return null
 	}
+	const end = index + (clause.length * 2) - 1
+	return { text: tokens.slice(index, end).join(''), end }
 }
-// ---
 
-// --- Query Types
 /**
- * @class
- * @classdesc Represents an SQL `WHERE` clause. The default assumption is a simple condition, where you are checking
- * a database column against a static value; the static value will be assigned to a replacement. This class also supports
- * the more complex use cases of a `WHERE` clause. e.g. a function call as the entire clause of the form `WHERE my_func()`
+ * Find the position of the bracket that closes the bracket at the given position
  *
- * @extends module:src/database/QueryBuilder~Sql
+ * @param {Array.<string>} tokens The tokens of the query
+ * @param {number} index The position of an opening bracket
+ * @returns {number} The position of the closing bracket, or of the last token if the brackets are not balanced
  */
-class Where extends Sql {
-	/**
-	 * Create a new Where object, representing a filter for the query
-	 *
-	 * @param {string|module:src/database/QueryBuilder~Sql} left The left hand clause of the condition. Where a string is provided, it will be interpreted
-	 * as a column name. If an Sql object is provided, it will be serialised as-is
-	 *
-	 * @param {*|module:src/database/QueryBuilder~Sql} [right = null] The right hand value of the condition. When a regular value is provided, it will be
-	 * interpreted as a literal value and will generate a replacement. If an Sql object is provided, it will be serialised
-	 * as-is
-	 *
-	 * @param {string} [operator = =] The operator to use for the condition. This should be any of the SQL operators that
-	 * evaluate to a boolean value (e.g. =, >, &&, etc) for the data types involved in the `WHERE` clause. Providing an
-	 * explicit null value
-	 */
-	constructor(left, right = null, operator = '=') {
-		super()
-		this._prefix = ''
-		this._suffix = ''
-		this._replacements = {}
+function closingBracket(tokens, index) {
+	let depth = 0
+	for (let position = index; position < tokens.length; position += 1) {
+		if (tokens[position] === '(') {
+			depth += 1
+		} else if (tokens[position] === ')') {
+			depth -= 1
+			if (depth === 0) {
+				return position
+			}
+		}
+	}
+	return tokens.length - 1
+}
 
-		if (left instanceof Sql) {
-			this._left = left
-			Object.assign(this._replacements, this._left.getReplacements())
-		} else {
-			this._left = new Column(left)
+/**
+ * Check whether a list of tokens joins conditions with `AND` or `OR`, outside of any brackets and `BETWEEN` ranges
+ *
+ * @param {Array.<string>} tokens The tokens to check
+ * @returns {boolean} True if the tokens contain a logical operator
+ */
+function hasLogic(tokens) {
+	let depth = 0
+	let between = false
+	return tokens.some(token => {
+		const word = token.toUpperCase()
+		if (token === '(' || token === ')') {
+			depth += token === '(' ? 1 : -1
+		} else if (depth === 0 && word === 'BETWEEN') {
+			between = true
+		} else if (depth === 0 && word === 'AND' && between) {
+			between = false
+		} else if (depth === 0 && (word === 'AND' || word === 'OR')) {
+			return true
 		}
+		return false
+	})
+}
 
-		if (right != null) {
-			if (right instanceof Sql) {
-				this._right = right
-				Object.assign(this._replacements, this._right.getReplacements())
+/**
+ * Format the tokens of a query, starting each clause on a new line. Subqueries are formatted in the same way and
+ * indented inside their brackets. In condition clauses (`WHERE`, `HAVING` and join conditions), conditions joined by
+ * `AND` or `OR` start new lines, and bracketed groups of conditions are indented
+ *
+ * @param {Array.<string>} tokens The tokens to format
+ * @param {number} depth The indentation level of the tokens
+ * @param {string} unit The string to indent each level with
+ * @param {boolean} grouped Whether the tokens are a bracketed group of conditions, rather than a statement
+ * @returns {string} The formatted tokens
+ */
+function formatTokens(tokens, depth, unit, grouped) {
+	const newline = level => `\n${ unit.repeat(level) }`
+	let buffer = ''
+	let line = depth
+	let conditions = grouped
+	let between = false
+	let index = 0
+
+	while (index < tokens.length) {
+		const token = tokens[index]
+		const word = token.toUpperCase()
+		const clause = grouped ? null : matchClause(tokens, index)
+
+		if (token === '(') {
+			const close = closingBracket(tokens, index)
+			const inner = tokens.slice(index + 1, close)
+			const first = (inner.find(part => part.trim().length > 0) || '').toUpperCase()
+			if (first === 'SELECT' || first === 'WITH' || (conditions && hasLogic(inner))) {
+				const formatted = formatTokens(inner, line + 1, unit, first !== 'SELECT' && first !== 'WITH').trim()
+				buffer += `(${ newline(line + 1) }${ formatted }${ newline(line) })`
 			} else {
-				const ident = `where${ insecureHexString(8) }`
-				this._replacements[ident] = right
-				this._right = `:${ ident }`
+				buffer += tokens.slice(index, close + 1).join('')
+			}
+			index = close + 1
+		} else if (clause != null) {
+			buffer = buffer.trim().length > 0 ? `${ buffer.trimEnd() }${ newline(depth) }${ clause.text }` : clause.text
+			line = depth
+			conditions = ['WHERE', 'HAVING'].includes(clause.text.toUpperCase())
+			between = false
+			index = clause.end
+		} else {
+			if (word === 'ON') {
+				conditions = true
+			} else if (word === 'BETWEEN') {
+				between = true
+			} else if (word === 'AND' && between) {
+				between = false
+			} else if (conditions && (word === 'AND' || word === 'OR')) {
+				line = grouped ? depth : depth + 1
+				buffer = `${ buffer.trimEnd() }${ newline(line) }`
 			}
+			buffer += token
+			index += 1
 		}
-
-		this._operator = operator
 	}
 
-	/**
-	 * @inheritdoc
-	 */
-	getReplacements() { return this._replacements }
+	return buffer
+}
 
-	/**
-	 * @inheritdoc
-	 */
-	toSql() {
-		const buffer = [this._prefix]
-		const replacements = {}
-		if (this._left instanceof Sql) {
-			Object.assign(replacements, this._left.getReplacements())
-			buffer.push(this._left.toSql())
-		} else if (this._left != null) {
-			buffer.push(this._left)
-		}
+/**
+ * Format a query for reading, with each clause on its own line and subqueries and groups of conditions indented
+ *
+ * @param {string} text The query to format
+ * @param {Object} [options = {}] Formatting options
+ * @param {string} [options.indent = '  '] The string to indent each level with
+ * @returns {string} The formatted query
+ */
+function formatSql(text, { indent = '  ' } = {}) {
+	return formatTokens(tokenizeSql(text), 0, indent, false).trim()
+}
 
-		if (this._operator != null) {
-			buffer.push(` ${ this._operator } `)
-		}
+/**
+ * The types that can be recreated from their JSON description, by name. This is filled in once every type has been
+ * declared
+ *
+ * @type {Object.<string, Function>}
+ */
+const NODE_TYPES = {}
 
-		if (this._right instanceof Sql) {
-			Object.assign(replacements, this._right.getReplacements())
-			buffer.push(this._right.toSql())
-		} else if (this._right != null) {
-			buffer.push(this._right)
-		}
-		buffer.push(this._suffix)
+/**
+ * The scopes registered with {@link QueryBuilder.addScope}, by name
+ *
+ * @type {Map.<string, {name: string, condition: (Function|Object), tables: ?Array.<string>}>}
+ */
+const SCOPES = new Map()
 
-		return buffer.join('')
+/**
+ * Keys of a JSON description that hold plain data rather than other descriptions, and so should never be visited
+ */
+const OPAQUE_KEYS = ['value', 'schema', 'replacements']
+
+/**
+ * Describe a value that may either be an `Sql` object or a plain value, such as the right hand side of a `Where`
+ *
+ * @param {*} value The value to describe
+ * @returns {{type: string}} The description of the `Sql` object, or the value wrapped as `{ type: 'Value', value }`
+ */
+function encodeJSON(value) {
+	if (value instanceof Sql) {
+		return value.toJSON()
 	}
+	return { type: 'Value', value }
 }
 
 /**
- * @class
- * @classdesc Represents a column to be selected in the query. Using an explicit Select object instead of
- * passing a string to the QueryBuilder's `select` method will allow you to correctly alias the column with
- * another name while also using other `Sql` derived objects to specify the selected column
+ * Recreate a value from a description created by `encodeJSON`, or by the `toJSON` method of an `Sql` object or
+ * QueryBuilder
  *
- * @extends module:src/database/QueryBuilder~Sql
+ * @param {{type: string}} json The description of the value
+ * @returns {*} The recreated value
+ * @throws {TypeError} If the description is invalid, or names a type that can not be recreated
  */
-class Select extends Sql {
-	/**
-	 * Create a new `Select` object with an optional alias.
-	 *
-	 * @param {string|module:src/database/QueryBuilder~Sql} column The column to select from the database. If a string
-	 * is provided, it will be processed as a {@link module:src/database/QueryBuilder~Column|Column}, and if an Sql
-	 * object is provided, it will be serialized as-is
-	 *
-	 * @param {string} [as = null] The alias for this column. If not provided, the default column name will be used.
-	 * For simple `SELECT`s, this will be equal to the column name, but for more complicated selects (i.e. selects
-	 * involving function calls or aggregates) the default column name is an amalgamation of the component parts. This
-	 * may be less than ideal for accessing the results and, in those cases, providing an alias is recommended
-	 */
-	constructor(column, as = null) {
-		super()
-		if (column instanceof Sql) {
-			this._column = column
-		} else {
-			this._column = new Column(column)
-		}
+function decodeJSON(json) {
+	if (json == null || typeof json !== 'object' || typeof json.type !== 'string') {
+		throw new TypeError('Invalid JSON description of an SQL object')
+	}
+	if (json.type === 'Value') {
+		return json.value
+	}
+	if (!NODE_TYPES.hasOwnProperty(json.type)) {
+		throw new TypeError(`Unknown SQL object type "${ json.type }"`)
+	}
+	return NODE_TYPES[json.type].fromJSON(json)
+}
 
-		this._as = as
+/**
+ * Describe the arguments passed to a terminal method. Unlike `encodeJSON`, lists and objects are searched for any `Sql`
+ * objects they contain, such as the values of an inserted row
+ *
+ * @param {*} value The argument to describe
+ * @returns {{type: string}} The description of the argument
+ * @throws {TypeError} If the argument is a function, such as the builder function of an `INSERT ... SELECT`
+ */
+function encodeArgument(value) {
+	if (typeof value === 'function') {
+		throw new TypeError('Can not describe a statement that was created with a builder function argument')
+	}
+	if (Array.isArray(value)) {
+		return { type: 'List', items: value.map(encodeArgument) }
 	}
+	if (isPlainObject(value)) {
+		const entries = Object.keys(value).reduce((acc, key) => Object.assign(acc, { [key]: encodeArgument(value[key]) }), {})
+		return { type: 'Object', entries }
+	}
+	return encodeJSON(value)
+}
 
-	toSql() {
-		const buffer = [this._column.toSql()]
+/**
+ * Recreate an argument from a description created by `encodeArgument`
+ *
+ * @param {{type: string}} json The description of the argument
+ * @returns {*} The recreated argument
+ */
+function decodeArgument(json) {
+	if (json.type === 'List') {
+		return json.items.map(decodeArgument)
+	}
+	if (json.type === 'Object') {
+		return Object.keys(json.entries).reduce((acc, key) => Object.assign(acc, { [key]: decodeArgument(json.entries[key]) }), {})
+	}
+	return decodeJSON(json)
+}
 
-		if (this._as != null) {
-			buffer.push('as')
-			buffer.push(this._as)
-		}
+/**
+ * Describe a statement generated by a nested builder, such as the query of a `SubSelect`, as the builder itself along
+ * with the terminal method that was used and its arguments
+ *
+ * @param {QueryBuilder} builder The nested builder
+ * @returns {{statement: string, args: Array.<Object>, builder: Object}} The description of the statement
+ * @throws {TypeError} If the builder did not generate the statement
+ */
+function statementToJSON(builder) {
+	if (builder._statement == null || builder._statement.terminal == null) {
+		throw new TypeError('Can not describe a nested query that was not generated by the builder it was given')
+	}
+	const { statement, args } = builder._statement.terminal
+	return { statement, args: args.map(encodeArgument), builder: builder.toJSON() }
+}
 
-		return buffer.join(' ')
+/**
+ * Generate a statement described by `statementToJSON` with a nested builder
+ *
+ * @param {QueryBuilder} builder The nested builder to generate the statement with
+ * @param {{statement: string, args: Array.<Object>, builder: Object}} json The description of the statement
+ * @returns {string} The generated statement
+ */
+function statementFromJSON(builder, { statement, args, builder: query }) {
+	if (!['select', 'delete', 'insert', 'update', 'count'].includes(statement)) {
+		throw new TypeError(`Can not generate unknown statement type "${ statement }"`)
 	}
+	return builder._load(query)[statement](...args.map(decodeArgument))
+}
 
-	getReplacements() {
-		return this._column.getReplacements()
+/**
+ * Visit every description within a JSON description, starting with the innermost, and replace each one with the
+ * result of the callback
+ *
+ * @param {*} json The description to walk
+ * @param {function(Object): Object} callback Called with each description once its children have been replaced,
+ * returning its replacement
+ * @returns {*} The description with every replacement made
+ */
+function walkJSON(json, callback) {
+	if (Array.isArray(json)) {
+		return json.map(item => walkJSON(item, callback))
+	}
+	if (!isPlainObject(json)) {
+		return json
 	}
+
+	const walked = Object.keys(json).reduce((acc, key) => Object.assign(acc, {
+		[key]: OPAQUE_KEYS.includes(key) ? json[key] : walkJSON(json[key], callback),
+	}), {})
+	return typeof walked.type === 'string' ? callback(walked) : walked
 }
-// ---
 
-// -- Relational Types
-class SubSelect extends Sql {
-	constructor(builderFn, name = null) {
-		super()
-		this._name = name == null ? null : new Column(name)
-		const subBuilder = new QueryBuilder() // eslint-disable-line no-use-before-define
-		this._sql = builderFn(subBuilder)
-		if (this._sql == null || typeof this._sql !== 'string') {
-			throw new TypeError('Nested select function must return select string')
-		}
-		this._replacements = subBuilder.getReplacements()
+/**
+ * Get the JSON description of a builder or `Sql` object. Descriptions are returned as-is
+ *
+ * @param {QueryBuilder|module:src/database/QueryBuilder~Sql|Object} target The value to describe
+ * @returns {{type: string}} The description
+ */
+function describeQuery(target) {
+	if (target instanceof Sql || (target != null && target.constructor === NODE_TYPES.QueryBuilder)) {
+		return target.toJSON()
+	}
+	if (!isPlainObject(target) || typeof target.type !== 'string') {
+		throw new TypeError('Must provide a QueryBuilder, Sql object or JSON description')
 	}
+	return target
+}
 
-	toSql() {
-		const buffer = [`(${ this._sql })`]
-		if (this._name != null) {
-			buffer.push('AS')
-			buffer.push(this._name.toSql())
-		}
-		return buffer.join(' ')
+/**
+ * Create the function that calls a visitor for a description
+ *
+ * @param {Function|Object.<string, Function>} visitor Either a function to call for every description, or an object
+ * mapping type names to functions
+ * @returns {function(Object): *} The visiting function
+ */
+function visitorCallback(visitor) {
+	if (typeof visitor === 'function') {
+		return visitor
+	}
+	if (visitor == null || typeof visitor !== 'object') {
+		throw new TypeError('Visitor must be a function or an object of functions')
+	}
+	return json => {
+		const visitType = visitor.hasOwnProperty(json.type) ? visitor[json.type] : null
+		return visitType == null ? null : visitType(json)
 	}
-	getReplacements() { return this._replacements }
 }
+// ---
 
-class Union extends Sql {
-	constructor(builderFns, type = null) {
+// --- Base Types
+/**
+ * @class
+ * @classdesc Represents a raw sql string that will not be processed in any way, other than to join any parts provided.
+ * This type is useful for circumventing any custom processing for query parts that cannot be represented faithfully by
+ * other `Sql` constructs
+ *
+ * Raw strings are trusted SQL, and are not checked by hardened builders. Descriptions loaded hardened by
+ * {@link QueryBuilder.fromJSON} may only contain `Raw` objects when the `allowRaw` option is given
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Raw extends Sql {
+	constructor(...parts) {
 		super()
-		this._type = type
-		this._subs = []
-		this._replacements = []
-
-		builderFns.forEach(builder => {
-			const qb = new QueryBuilder() // eslint-disable-line no-use-before-define
-			const sql = builder(qb)
-			if (sql == null || typeof sql !== 'string') {
-				throw new TypeError('Nested select function must return select string')
-			}
-			this._subs.push(sql)
-			this._replacements.push(qb.getReplacements())
-		})
+		this._parts = parts
 	}
 
 	toSql() {
-		let joiner = ['UNION', this._type].filter(Boolean).join(' ')
-		joiner = ` ${ joiner } ` // Adds spaces
-		return this._subs.join(joiner)
+		return this._parts.map(part => {
+			if (part instanceof Sql) {
+				return part.toSql()
+			}
+			return part
+		}).join(' ')
 	}
 
 	getReplacements() {
-		return this._replacements.reduce((acc, c) => ({ ...acc, ...c }), {})
+		return this._parts
+			.map(part => {
+				if (part instanceof Sql) {
+					return part.getReplacements()
+				}
+				return null
+			})
+			.filter(Boolean)
+			.reduce((reps, current) => Object.assign({}, reps, current), {})
 	}
-}
-
-class Join extends Sql {
 
-	prefix() { return '' }
-	suffix() { return '' }
+	toJSON() { return { type: 'Raw', parts: this._parts.map(encodeJSON) } }
+	static fromJSON({ parts }) { return new Raw(...parts.map(decodeJSON)) }
+}
 
-	constructor(table, condition = null, tableAlias = null) {
-		if (!(condition == null || condition instanceof Sql)) {
-			throw new TypeError('Must provide a valid WHERE clause for join condition')
-		}
+/**
+ * @class
+ * @classdesc Represents an SQL column name. Column names typically receive different handling by SQL engines to
+ * differentiate them from values because they usually appear in the same positions in a query. The Column name
+ * will be wrapped with quotes, preventing the names from clashing with built in keywords - namespacing is also
+ * supported, so table and column names will be wrapped separately. The asterisk character should never be wrapped
+ * with quotes, and will receive special handling when encountered as a column name
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Column extends Sql {
+	constructor(name) {
 		super()
-
-		this._replacements = {}
-		if (tableAlias != null) {
-			this._alias = new Column(tableAlias)
-		} else {
-			this._alias = null
-		}
-
-		if (table instanceof Sql) {
-			this._table = table
-			Object.assign(this._replacements, table.getReplacements())
+		if (name === '*') {
+			this._name = name
+			this._parts = [name]
 		} else {
-			this._table = new Column(table)
+			const parts = name.split('.')
+			this._parts = parts
+			this._name = parts.map(part => {
+				if (part === '*') {
+					return '*'
+				}
+				return quoteIdentifier(part)
+			}).join('.')
 		}
+	}
+	toSql() { return this._name }
+	columns() { return [this] }
+	toJSON() { return { type: this.constructor.name, name: this._parts.join('.') } }
+	static fromJSON({ name }) { return new this(name) }
+}
 
-		if (condition != null) {
-			this._condition = condition
-			Object.assign(this._replacements, condition.getReplacements())
-		} else {
-			this._condition = null
-		}
+class Literal extends Sql {
+	constructor(value) {
+		super()
+		this._ident = nextIdent('lit')
+		this._replacements = { [this._ident]: value }
 	}
 
 	toSql() {
-		const buffer = [
-			this.prefix(),
-			'JOIN',
-			this.suffix(),
-			this._table,
-			this._alias,
-			this._condition == null ? null : 'ON',
-			this._condition,
-		].filter(Boolean)
-
-		return concatPossibleSqlList(buffer, ' ')
+		return placeholder(this._ident, this._replacements[this._ident])
 	}
 
 	getReplacements() {
 		return this._replacements
 	}
-}
 
-class LateralCrossJoin extends Join {
-	prefix() { return 'CROSS' }
-	suffix() { return 'LATERAL' }
-}
-class LateralLeftJoin extends Join {
-	prefix() { return 'LEFT' }
-	suffix() { return 'LATERAL' }
-}
-class OuterJoin extends Join {
-	prefix() { return 'OUTER' }
-}
-class LeftOuterJoin extends Join {
-	prefix() { return 'LEFT OUTER' }
-}
-class FullOuterJoin extends Join {
-	prefix() { return 'FULL OUTER' }
+	toJSON() { return { type: 'Literal', value: this._replacements[this._ident] } }
+	static fromJSON({ value }) { return new Literal(value) }
 }
-class InnerJoin extends Join {
-	prefix() { return 'INNER' }
-}
-// ---
 
-// --- Conditional Types
-class When extends Sql {
-	constructor(condition, select) {
-		if (!(condition instanceof Where) || !(select instanceof SubSelect)) {
-			throw new TypeError('When clause must be constructed from a WHERE and a SUBSELECT clause')
-		}
+/**
+ * @class
+ * @classdesc Represents a data cast from a value to another type. No check is actually made by the QueryBuilder to ensure
+ * that the `lvalue` is compatible with the type being cast to
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Cast extends Sql {
+	constructor(statement, type) {
 		super()
-
 		this._replacements = {}
-		this._condition = condition
-		Object.assign(this._replacements, condition.getReplacements())
+		if (statement instanceof Sql) {
+			this._statement = statement
+			Object.assign(this._replacements, statement.getReplacements())
+		} else {
+			this._statement = new Column(statement)
+		}
 
-		this._select = select
-		Object.assign(this._replacements, select.getReplacements())
+		this._type = type
+	}
+
+	toSql() { return `${ this._statement.toSql() }::${ this._type }` }
+	getReplacements() { return this._replacements }
+	toJSON() { return { type: 'Cast', statement: this._statement.toJSON(), cast: this._type } }
+	static fromJSON({ statement, cast }) { return new Cast(decodeJSON(statement), cast) }
+}
+
+/**
+ * @class
+ * @abstract
+ * @classdesc The base class for representing a series of related conditional queries that should be grouped together.
+ * This class doesn't include any operators, and as such should not be used directly. Instead, it provides the common
+ * serialization logic for all child joinder types
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Joinder extends Sql {
+	/**
+	 * Get the joinder term to use in the SQL query. This would be a value such as `AND` for the condition
+	 * `(foo AND bar AND baz)`
+	 * @returns {string}
+	 * @protected
+	 */
+	_term() { return '' }
+
+	constructor(...conditions) {
+		super()
+		this._conditions = conditions
 	}
 
 	toSql() {
-		return `WHEN ${ this._condition.toSql() } THEN ${ this._select.toSql() }`
+		if (this._conditions.length < 2) {
+			const [condition] = this._conditions
+			if (condition instanceof Sql) {
+				return condition.toSql()
+			}
+			return condition
+		}
+		return `(${ concatPossibleSqlList(this._conditions, ` ${ this._term() } `) })`
 	}
+
 	getReplacements() {
-		return this._replacements
+		return this._conditions
+			.map(sql => {
+				if (sql instanceof Sql) {
+					return sql.getReplacements()
+				}
+				return null
+			})
+			.filter(Boolean)
+			.reduce((reps, current) => Object.assign({}, reps, current), {})
+	}
+
+	toJSON() {
+		return { type: this.constructor.name, conditions: this._conditions.map(encodeJSON) }
+	}
+
+	static fromJSON({ conditions }) {
+		return new this(...conditions.map(decodeJSON))
 	}
 }
 
-class Else extends Sql {
-	constructor(select) {
-		if (!(select instanceof SubSelect)) {
-			throw new TypeError('Else clause must be constructed from a SUBSELECT clause')
-		}
+class And extends Joinder {
+	_term() {
+		return 'AND'
+	}
+}
+
+class Or extends Joinder {
+	_term() {
+		return 'OR'
+	}
+}
+
+class Fn extends Sql { // Called Fn to avoid conflicting with existing 'Function' constructor type
+	constructor(name, ...args) {
 		super()
-		this._select = select
-		this._replacements = select.getReplacements()
+		this._name = name
+		this._replacements = {}
+		this._args = args.map(arg => {
+			if (arg instanceof Sql) {
+				Object.assign(this._replacements, arg.getReplacements())
+				return arg
+			}
+			const ident = nextIdent('func')
+			this._replacements[ident] = arg
+			return `:${ ident }`
+		})
 	}
 
 	toSql() {
-		return `ELSE ${ this._select.toSql() }`
+		const buffer = [this._name, '(']
+		const args = []
+		this._args.forEach(arg => {
+			if (arg instanceof Sql) {
+				args.push(arg.toSql())
+			} else {
+				args.push(placeholder(arg.slice(1), this._replacements[arg.slice(1)]))
+			}
+		})
+
+		buffer.push(args.join(', '))
+		buffer.push(')')
+
+		return buffer.join('')
 	}
 
 	getReplacements() {
 		return this._replacements
 	}
+
+	toJSON() {
+		const args = this._args.map(arg => {
+			if (arg instanceof Sql) {
+				return arg.toJSON()
+			}
+			return encodeJSON(this._replacements[arg.slice(1)])
+		})
+		return { type: this.constructor.name, name: this._name, args }
+	}
+
+	/**
+	 * Function calls are recreated as an `Fn` with the same name and arguments, which is then given the prototype of
+	 * the described type. This allows subclasses such as `TsQuery` to be recreated without knowing the options they
+	 * were constructed with
+	 *
+	 * @param {{name: string, args: Array.<Object>}} json The description of the function call
+	 * @returns {module:src/database/QueryBuilder~Fn} The function call
+	 */
+	static fromJSON({ name, args }) {
+		return Object.setPrototypeOf(new Fn(name, ...args.map(decodeJSON)), this.prototype)
+	}
 }
 
-class Case extends Sql {
-	static Else(...args) { return new Else(...args) }
-	static When(...args) { return new When(...args) }
-	constructor(name, whenBranches, elseBranch = null) {
-		super()
+/**
+ * @class
+ * @classdesc Represents the literal value `NULL`. This class is used to prevent any alternative processing of a
+ * javascript literal `null`, for example in the `rvalue` position of a `Where` object when performing a
+ * `WHERE column IS NULL` query
+ */
+class Null extends Sql {
+	/**
+	 * @returns {string} The literal string `NULL`
+	 */
+	toSql() {
+		return 'NULL'
+	}
 
-		this._name = new Column(name)
-		this._replacements = {}
-		this._whens = whenBranches
-		Object.assign(this._replacements, sqlListToReplacements(whenBranches))
+	toJSON() { return { type: 'Null' } }
+	static fromJSON() { return new Null() }
+}
 
-		this._else = elseBranch
-		if (elseBranch != null) {
-			Object.assign(this._replacements, elseBranch.getReplacements())
+/**
+ * @class
+ * @classdesc Represents a column of the special `EXCLUDED` table, which holds the row that was proposed for insertion
+ * when handling an `ON CONFLICT ... DO UPDATE` clause
+ *
+ * @extends module:src/database/QueryBuilder~Column
+ */
+class Excluded extends Column {
+	/**
+	 * @param {string} name The name of the column, which can not be qualified with a table name
+	 * @throws {TypeError} If the name is qualified with a table name
+	 */
+	constructor(name) {
+		super(name)
+		if (this._parts.length > 1) {
+			throw new TypeError(`Excluded column "${ name }" can not be qualified with a table name`)
 		}
+		this._name = `EXCLUDED.${ this._name }`
 	}
+}
 
-	toSql() {
-		const buffer = [
-			'CASE',
-			concatPossibleSqlList(this._whens, ' '),
-		]
-
-		if (this._else != null) {
-			buffer.push(this._else.toSql())
+/**
+ * @class
+ * @classdesc Represents a named table constraint, used as the target of an `ON CONFLICT` clause instead of a list
+ * of columns
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Constraint extends Sql {
+	constructor(name) {
+		super()
+		this._name = new Column(name)
+	}
+
+	toSql() { return `ON CONSTRAINT ${ this._name.toSql() }` }
+	columns() { return [] }
+	toJSON() { return { type: 'Constraint', name: this._name._parts.join('.') } }
+	static fromJSON({ name }) { return new Constraint(name) }
+}
+// ---
+
+// --- Query Types
+/**
+ * @class
+ * @classdesc Represents an SQL `WHERE` clause. The default assumption is a simple condition, where you are checking
+ * a database column against a static value; the static value will be assigned to a replacement. This class also supports
+ * the more complex use cases of a `WHERE` clause. e.g. a function call as the entire clause of the form `WHERE my_func()`
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Where extends Sql {
+	/**
+	 * Create a new Where object, representing a filter for the query
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} left The left hand clause of the condition. Where a string is provided, it will be interpreted
+	 * as a column name. If an Sql object is provided, it will be serialised as-is
+	 *
+	 * @param {*|module:src/database/QueryBuilder~Sql} [right = null] The right hand value of the condition. When a regular value is provided, it will be
+	 * interpreted as a literal value and will generate a replacement. If an Sql object is provided, it will be serialised
+	 * as-is
+	 *
+	 * @param {string} [operator = =] The operator to use for the condition. This should be any of the SQL operators that
+	 * evaluate to a boolean value (e.g. =, >, &&, etc) for the data types involved in the `WHERE` clause. Providing an
+	 * explicit null value
+	 */
+	constructor(left, right = null, operator = '=') {
+		super()
+		this._prefix = ''
+		this._suffix = ''
+		this._replacements = {}
+
+		if (left instanceof Sql) {
+			this._left = left
+			Object.assign(this._replacements, this._left.getReplacements())
+		} else {
+			this._left = new Column(left)
+		}
+
+		if (right != null) {
+			if (right instanceof Sql) {
+				this._right = right
+				Object.assign(this._replacements, this._right.getReplacements())
+			} else {
+				const ident = nextIdent('where')
+				this._replacements[ident] = right
+				this._right = `:${ ident }`
+			}
+		}
+
+		this._operator = operator
+	}
+
+	/**
+	 * Create a condition from a filter object, such as one parsed from an API request. Each key of the filter is a column
+	 * name, and the conditions for every key are grouped with `AND`:
+	 *
+	 * - `null` values check that the column `IS NULL`
+	 * - Arrays and `SubSelect`s check that the column is `In` the values
+	 * - Other `Sql` objects and values are compared with `=`
+	 * - Object literals map operators to values, e.g. `{ age: { $gte: 18, $lt: 65 } }`. The supported operators are
+	 *   `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$like`, `$ilike` and `$between`
+	 *
+	 * The special keys `$or` and `$and` take an array of filter objects, and `$not` takes a single filter object.
+	 * Values can not be `undefined`, and object literals must contain at least one operator
+	 *
+	 * @param {Object} filter The filter object to convert
+	 * @param {function(string, *, string): module:src/database/QueryBuilder~Sql} [compare] Creates the comparisons
+	 * of the filter from a column, a value and an operator, such as a builder casting values for its table schema. By
+	 * default, a `Where` is created
+	 * @returns {module:src/database/QueryBuilder~Sql} The condition represented by the filter
+	 * @throws {TypeError} If the filter is empty, or contains an `undefined` value or an unknown operator
+	 */
+	static from(filter, compare = (column, value, operator) => new Where(column, value, operator)) {
+		if (!isPlainObject(filter) || Object.keys(filter).length < 1) {
+			throw new TypeError('Can not create condition from an empty or non-object filter')
+		}
+
+		/* eslint-disable no-use-before-define */
+		const conditions = Object.keys(filter).map(key => {
+			const value = filter[key]
+			switch (key) {
+				case '$or':
+				case '$and': {
+					if (!Array.isArray(value) || value.length < 1) {
+						throw new TypeError(`Filter key "${ key }" must be a non-empty array of filters`)
+					}
+					const group = value.map(item => Where.from(item, compare))
+					return key === '$or' ? new Or(...group) : new And(...group)
+				}
+				case '$not':
+					return new Not(Where.from(value, compare))
+				default:
+					break
+			}
+
+			if (typeof value === 'undefined') {
+				throw new TypeError(`Filter value for column "${ key }" is undefined`)
+			}
+			if (value === null) {
+				return new IsNull(key)
+			}
+			if (Array.isArray(value) || value instanceof SubSelect) {
+				return new In(key, value)
+			}
+			if (isPlainObject(value)) {
+				if (Object.keys(value).length < 1) {
+					throw new TypeError(`Filter for column "${ key }" must contain at least one operator`)
+				}
+				const operators = Object.keys(value).map(operator => Where._fromOperator(key, operator, value[operator], compare))
+				return new And(...operators)
+			}
+			return compare(key, value, '=')
+		})
+		/* eslint-enable no-use-before-define */
+
+		return new And(...conditions)
+	}
+
+	static _fromOperator(column, operator, value, compare) {
+		/* eslint-disable no-use-before-define */
+		if (typeof value === 'undefined') {
+			throw new TypeError(`Filter value for operator "${ operator }" of column "${ column }" is undefined`)
+		}
+		const comparisons = { $eq: '=', $ne: '<>', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }
+		switch (operator) {
+			case '$eq':
+				return value === null ? new IsNull(column) : compare(column, value, '=')
+			case '$ne':
+				return value === null ? new IsNotNull(column) : compare(column, value, '<>')
+			case '$gt':
+			case '$gte':
+			case '$lt':
+			case '$lte':
+				return compare(column, value, comparisons[operator])
+			case '$in':
+				return new In(column, value)
+			case '$nin':
+				return new NotIn(column, value)
+			case '$like':
+				return new Like(column, value)
+			case '$ilike':
+				return new ILike(column, value)
+			case '$between':
+				if (!Array.isArray(value) || value.length !== 2) {
+					throw new TypeError('Filter operator "$between" requires an array of two values')
+				}
+				return new Between(column, ...value)
+			default:
+				throw new TypeError(`Unknown filter operator "${ operator }" for column "${ column }"`)
+		}
+		/* eslint-enable no-use-before-define */
+	}
+
+	/**
+	 * @inheritdoc
+	 */
+	getReplacements() { return this._replacements }
+
+	/**
+	 * @inheritdoc
+	 */
+	toSql() {
+		const buffer = [this._prefix]
+		if (this._left instanceof Sql) {
+			buffer.push(this._left.toSql())
+		} else if (this._left != null) {
+			buffer.push(this._left)
+		}
+
+		if (this._operator != null) {
+			buffer.push(` ${ this._operator } `)
+		}
+
+		if (this._right instanceof Sql) {
+			buffer.push(this._right.toSql())
+		} else if (this._right != null) {
+			buffer.push(placeholder(this._right.slice(1), this._replacements[this._right.slice(1)]))
+		}
+		buffer.push(this._suffix)
+
+		return buffer.join('')
+	}
+
+	toJSON() {
+		let right = null
+		if (this._right instanceof Sql) {
+			right = this._right.toJSON()
+		} else if (this._right != null) {
+			right = encodeJSON(this._replacements[this._right.slice(1)])
+		}
+		return {
+			type: this.constructor.name,
+			left: this._left.toJSON(),
+			right,
+			operator: this._operator,
+			prefix: this._prefix,
+			suffix: this._suffix,
+		}
+	}
+
+	/**
+	 * Conditions are recreated as a `Where` with the same operands, operator and affixes, which is then given the
+	 * prototype of the described type. This allows subclasses such as `In` or `Like` to be recreated from the condition
+	 * they generated, rather than the arguments they were constructed with
+	 *
+	 * @param {{left: Object, right: ?Object, operator: ?string, prefix: string, suffix: string}} json The description
+	 * of the condition
+	 * @returns {module:src/database/QueryBuilder~Where} The condition
+	 */
+	static fromJSON({ left, right, operator, prefix = '', suffix = '' }) {
+		const condition = new Where(decodeJSON(left), right == null ? null : decodeJSON(right), operator)
+		condition._prefix = prefix
+		condition._suffix = suffix
+		return Object.setPrototypeOf(condition, this.prototype)
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a column to be selected in the query. Using an explicit Select object instead of
+ * passing a string to the QueryBuilder's `select` method will allow you to correctly alias the column with
+ * another name while also using other `Sql` derived objects to specify the selected column
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Select extends Sql {
+	/**
+	 * Create a new `Select` object with an optional alias.
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} column The column to select from the database. If a string
+	 * is provided, it will be processed as a {@link module:src/database/QueryBuilder~Column|Column}, and if an Sql
+	 * object is provided, it will be serialized as-is
+	 *
+	 * @param {string} [as = null] The alias for this column. If not provided, the default column name will be used.
+	 * For simple `SELECT`s, this will be equal to the column name, but for more complicated selects (i.e. selects
+	 * involving function calls or aggregates) the default column name is an amalgamation of the component parts. This
+	 * may be less than ideal for accessing the results and, in those cases, providing an alias is recommended
+	 */
+	constructor(column, as = null) {
+		super()
+		if (column instanceof Sql) {
+			this._column = column
+		} else {
+			this._column = new Column(column)
+		}
+
+		this._as = as
+	}
+
+	toSql() {
+		const buffer = [this._column.toSql()]
+
+		if (this._as != null) {
+			buffer.push('as')
+			buffer.push(this._as)
+		}
+
+		return buffer.join(' ')
+	}
+
+	getReplacements() {
+		return this._column.getReplacements()
+	}
+
+	toJSON() { return { type: 'Select', column: this._column.toJSON(), as: this._as } }
+	static fromJSON({ column, as }) { return new Select(decodeJSON(column), as) }
+}
+
+/**
+ * @class
+ * @classdesc Represents a single term of an `ORDER BY` clause. The sort direction and the position of null values are
+ * checked against the keywords Postgres accepts, so that neither can be used to inject arbitrary SQL
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Order extends Sql {
+	/**
+	 * Create a new `Order` term
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} column The value to sort by. If a string is provided, it
+	 * will be processed as a {@link module:src/database/QueryBuilder~Column|Column}
+	 *
+	 * @param {string} [direction = null] Either `ASC` or `DESC`, in any case. The Postgres default (`ASC`) is used if
+	 * not provided
+	 *
+	 * @param {Object} [options = {}] Additional sorting options
+	 * @param {string} [options.nulls = null] Either `FIRST` or `LAST`, in any case, to control where null values are
+	 * sorted
+	 */
+	constructor(column, direction = null, { nulls = null } = {}) {
+		super()
+		if (column instanceof Sql) {
+			this._column = column
+		} else {
+			this._column = new Column(column)
+		}
+
+		this._direction = Order._keyword(direction, ['ASC', 'DESC'], 'sort direction')
+		this._nulls = Order._keyword(nulls, ['FIRST', 'LAST'], 'null ordering')
+	}
+
+	static _keyword(value, allowed, description) {
+		if (value == null) {
+			return null
+		}
+		const keyword = String(value).toUpperCase()
+		if (!allowed.includes(keyword)) {
+			throw new TypeError(`Invalid ${ description } "${ value }", expected one of ${ allowed.join(', ') }`)
+		}
+		return keyword
+	}
+
+	/**
+	 * Create `Order` terms from untrusted input, such as the `sort` parameter of an API request. The input is a comma
+	 * separated list of sort keys, each of which may be prefixed with `-` to sort in descending order
+	 * (e.g. `-created_at,name`). Every key must be present in the allow-list, or an error will be thrown
+	 *
+	 * @param {string} input The sort keys to parse
+	 *
+	 * @param {Array.<string>|Object.<string, (string|module:src/database/QueryBuilder~Sql)>} allowed Either a list of
+	 * column names that may be sorted by, or an object mapping the sort keys to the columns they represent
+	 *
+	 * @param {Object} [options = {}] Options applied to every parsed term
+	 * @param {string} [options.nulls = null] The position of null values for every term
+	 *
+	 * @returns {Array.<module:src/database/QueryBuilder~Order>} The parsed terms, in the order they were provided
+	 */
+	static fromInput(input, allowed, { nulls = null } = {}) {
+		const columns = Array.isArray(allowed)
+			? allowed.reduce((acc, name) => Object.assign(acc, { [name]: name }), {})
+			: allowed
+
+		return String(input)
+			.split(',')
+			.map(key => key.trim())
+			.filter(Boolean)
+			.map(key => {
+				const descending = key.startsWith('-')
+				const name = descending ? key.slice(1) : key
+				if (!columns.hasOwnProperty(name)) {
+					throw new Error(`Can not sort by unknown key "${ name }"`)
+				}
+				return new Order(columns[name], descending ? 'DESC' : 'ASC', { nulls })
+			})
+	}
+
+	toSql() {
+		const buffer = [this._column.toSql()]
+		if (this._direction != null) {
+			buffer.push(this._direction)
+		}
+		if (this._nulls != null) {
+			buffer.push(`NULLS ${ this._nulls }`)
+		}
+
+		return buffer.join(' ')
+	}
+
+	getReplacements() {
+		return this._column.getReplacements()
+	}
+
+	toJSON() {
+		return { type: 'Order', column: this._column.toJSON(), direction: this._direction, nulls: this._nulls }
+	}
+
+	static fromJSON({ column, direction, nulls }) {
+		return new Order(decodeJSON(column), direction, { nulls })
+	}
+}
+// ---
+
+// --- Window Types
+/**
+ * @class
+ * @classdesc Represents a window definition, which describes the set of rows a window function is applied to. A
+ * window can be based on another named window, and can specify the partitioning, ordering and frame of the rows
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Window extends Sql {
+	/**
+	 * Create a new window definition
+	 *
+	 * @param {Object} [spec = {}] The definition of the window
+	 *
+	 * @param {string} [spec.window = null] The name of an existing window to base this definition on
+	 *
+	 * @param {Array.<(string|module:src/database/QueryBuilder~Sql)>} [spec.partitionBy = []] The expressions to
+	 * partition rows by. Strings will be processed as a {@link module:src/database/QueryBuilder~Column|Column}
+	 *
+	 * @param {Array.<(string|Array|module:src/database/QueryBuilder~Sql)>} [spec.orderBy = []] The ordering of rows in
+	 * each partition. Each entry can be a column name, a `[column, direction]` pair or an `Order` term
+	 *
+	 * @param {Object} [spec.frame = null] The frame of rows within the partition, of the form
+	 * `{ type, start, end, exclude }`. The `type` is one of `ROWS`, `RANGE` or `GROUPS`. The `start` and `end` bounds
+	 * are each one of `UNBOUNDED PRECEDING`, `CURRENT ROW`, `UNBOUNDED FOLLOWING`, or an offset of the form
+	 * `{ preceding: n }` or `{ following: n }` where `n` is a non-negative integer or an `Sql` object. The optional
+	 * `exclude` is one of `CURRENT ROW`, `GROUP`, `TIES` or `NO OTHERS`
+	 */
+	constructor({ window = null, partitionBy = [], orderBy = [], frame = null } = {}) {
+		super()
+		this._window = window == null ? null : new Column(window)
+		this._partitionBy = partitionBy.map(column => {
+			if (column instanceof Sql) {
+				return column
+			}
+			return new Column(column)
+		})
+		this._orderBy = orderBy.map(term => {
+			if (term instanceof Sql) {
+				return term
+			}
+			if (Array.isArray(term)) {
+				return new Order(...term)
+			}
+			return new Order(term)
+		})
+		this._frameSpec = frame
+		this._frame = null
+		this._bounds = []
+		this._exclude = null
+		if (frame != null) {
+			const { type = 'ROWS', start, end = null, exclude = null } = frame
+			this._frame = Order._keyword(type, ['ROWS', 'RANGE', 'GROUPS'], 'frame type')
+			this._bounds = (end == null ? [start] : [start, end]).map(Window._bound)
+			if (exclude != null) {
+				this._exclude = Order._keyword(exclude, ['CURRENT ROW', 'GROUP', 'TIES', 'NO OTHERS'], 'frame exclusion')
+			}
+		}
+	}
+
+	/**
+	 * Validate a bound of a window frame. Offsets are kept as an `[offset, direction]` pair, so that an offset given as
+	 * an `Sql` object is only generated along with the rest of the statement
+	 *
+	 * @param {string|Object} bound The bound, either a keyword or an offset of the form `{ preceding: n }`
+	 * @returns {string|Array} The bound keyword, or the offset and its direction
+	 * @private
+	 */
+	static _bound(bound) {
+		if (bound != null && typeof bound === 'object' && !(bound instanceof Sql)) {
+			const direction = bound.hasOwnProperty('preceding') ? 'preceding' : 'following'
+			const offset = bound[direction]
+			if (!(offset instanceof Sql) && (!Number.isInteger(offset) || offset < 0)) {
+				throw new TypeError(`Frame offset must be a non-negative integer, received "${ offset }"`)
+			}
+			return [offset, direction.toUpperCase()]
+		}
+		return Order._keyword(bound, ['UNBOUNDED PRECEDING', 'CURRENT ROW', 'UNBOUNDED FOLLOWING'], 'frame bound')
+	}
+
+	_offsets() {
+		return this._bounds.filter(Array.isArray).map(([offset]) => offset)
+	}
+
+	toSql() {
+		const buffer = []
+		if (this._window != null) {
+			buffer.push(this._window.toSql())
+		}
+		if (this._partitionBy.length > 0) {
+			buffer.push(`PARTITION BY ${ concatPossibleSqlList(this._partitionBy) }`)
+		}
+		if (this._orderBy.length > 0) {
+			buffer.push(`ORDER BY ${ concatPossibleSqlList(this._orderBy) }`)
+		}
+		if (this._frame != null) {
+			const bounds = this._bounds.map(bound => {
+				if (Array.isArray(bound)) {
+					return concatPossibleSqlList(bound, ' ')
+				}
+				return bound
+			})
+			buffer.push(bounds.length > 1 ? `${ this._frame } BETWEEN ${ bounds.join(' AND ') }` : `${ this._frame } ${ bounds[0] }`)
+			if (this._exclude != null) {
+				buffer.push(`EXCLUDE ${ this._exclude }`)
+			}
+		}
+
+		return buffer.join(' ')
+	}
+
+	getReplacements() {
+		return sqlListToReplacements(this._partitionBy.concat(this._orderBy, this._offsets()))
+	}
+
+	columns() {
+		return collectColumns([this._partitionBy, this._orderBy])
+	}
+
+	toJSON() {
+		return {
+			type: 'Window',
+			window: this._window == null ? null : this._window._parts.join('.'),
+			partitionBy: this._partitionBy.map(column => column.toJSON()),
+			orderBy: this._orderBy.map(term => term.toJSON()),
+			frame: this._frameSpec == null ? null : encodeArgument(this._frameSpec),
+		}
+	}
+
+	static fromJSON({ window, partitionBy, orderBy, frame }) {
+		return new Window({
+			window,
+			partitionBy: partitionBy.map(decodeJSON),
+			orderBy: orderBy.map(decodeJSON),
+			frame: frame == null ? null : decodeArgument(frame),
+		})
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a window function call, such as `row_number() OVER (PARTITION BY ...)`. The window can either
+ * be defined inline, or refer to a named window declared with the QueryBuilder's `window` method
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class Over extends Sql {
+	/**
+	 * Create a new window function call
+	 *
+	 * @param {module:src/database/QueryBuilder~Fn} fn The function to call over the window
+	 *
+	 * @param {string|Object|module:src/database/QueryBuilder~Window} [window = {}] Either the name of a window declared
+	 * on the QueryBuilder, a `Window` definition, or an object that will be used to create one
+	 */
+	constructor(fn, window = {}) {
+		if (!(fn instanceof Sql)) {
+			throw new TypeError('Window function must be constructed from an Sql function call')
+		}
+		super()
+		this._fn = fn
+		if (typeof window === 'string') {
+			this._name = new Column(window)
+			this._window = null
+		} else {
+			this._name = null
+			this._window = window instanceof Window ? window : new Window(window)
+		}
+	}
+
+	toSql() {
+		const window = this._name == null ? `(${ this._window.toSql() })` : this._name.toSql()
+		return `${ this._fn.toSql() } OVER ${ window }`
+	}
+
+	getReplacements() {
+		return sqlListToReplacements([this._fn, this._window])
+	}
+
+	columns() {
+		return collectColumns([this._fn, this._window])
+	}
+
+	toJSON() {
+		return {
+			type: 'Over',
+			fn: this._fn.toJSON(),
+			name: this._name == null ? null : this._name._parts.join('.'),
+			window: this._window == null ? null : this._window.toJSON(),
+		}
+	}
+
+	static fromJSON({ fn, name, window }) {
+		return new Over(decodeJSON(fn), name == null ? decodeJSON(window) : name)
+	}
+}
+// ---
+
+// -- Relational Types
+
+/**
+ * The options for builders created by `nestedBuilder`, while a builder is creating a nested query itself
+ *
+ * @type {{immutable: ?boolean, hardened: ?boolean}}
+ */
+let nestedOptions = {}
+
+/**
+ * Create a builder for a query that will be embedded in another query. Nested builders keep their internal
+ * placeholder names, leaving the outermost builder to rename every placeholder once the full query is known
+ *
+ * @returns {QueryBuilder} A new builder marked as nested
+ */
+function nestedBuilder() {
+	const builder = new QueryBuilder(nestedOptions) // eslint-disable-line no-use-before-define
+	builder._nested = true
+	return builder
+}
+
+/**
+ * Create nested queries with the options of the builder they are created for, so that, for example, the builder given
+ * to the function of a `WITH` expression is hardened when the builder it is added to is hardened
+ *
+ * @param {{immutable: boolean, hardened: boolean}} options The options of the builder creating the nested queries
+ * @param {Function} fn The function creating the nested queries
+ * @returns {*} The result of the function
+ */
+function withNestedOptions(options, fn) {
+	const previous = nestedOptions
+	nestedOptions = options
+	try {
+		return fn()
+	} finally {
+		nestedOptions = previous
+	}
+}
+class SubSelect extends Sql {
+	constructor(builderFn, name = null) {
+		super()
+		this._name = name == null ? null : new Column(name)
+		const subBuilder = nestedBuilder()
+		this._sql = outsideStatement(() => builderFn(subBuilder))
+		if (this._sql == null || typeof this._sql !== 'string') {
+			throw new TypeError('Nested select function must return select string')
+		}
+		this._replacements = subBuilder._nestedReplacements()
+		this._bindings = subBuilder._statement == null ? {} : subBuilder._statement.columns
+		this._builder = subBuilder
+	}
+
+	toSql() {
+		const buffer = [`(${ nestedSql(this._builder, this._sql) })`]
+		if (this._name != null) {
+			buffer.push('AS')
+			buffer.push(this._name.toSql())
+		}
+		return buffer.join(' ')
+	}
+	getReplacements() { return this._replacements }
+	columns() { return [] }
+
+	toJSON() {
+		return { type: 'SubSelect', name: this._name == null ? null : this._name._parts.join('.'), query: statementToJSON(this._builder) }
+	}
+
+	static fromJSON({ name, query }) {
+		return new SubSelect(builder => statementFromJSON(builder, query), name)
+	}
+}
+
+class Union extends Sql {
+	constructor(builderFns, type = null) {
+		super()
+		this._type = type
+		this._subs = []
+		this._builders = []
+		this._replacements = []
+
+		builderFns.forEach(builder => {
+			const qb = nestedBuilder()
+			const sql = outsideStatement(() => builder(qb))
+			if (sql == null || typeof sql !== 'string') {
+				throw new TypeError('Nested select function must return select string')
+			}
+			this._subs.push(sql)
+			this._builders.push(qb)
+			this._replacements.push(qb._nestedReplacements())
+		})
+	}
+
+	toSql() {
+		let joiner = ['UNION', this._type].filter(Boolean).join(' ')
+		joiner = ` ${ joiner } ` // Adds spaces
+		return this._subs.map((sql, index) => nestedSql(this._builders[index], sql)).join(joiner)
+	}
+
+	getReplacements() {
+		return this._replacements.reduce((acc, c) => ({ ...acc, ...c }), {})
+	}
+
+	toJSON() {
+		return { type: 'Union', union: this._type, queries: this._builders.map(statementToJSON) }
+	}
+
+	static fromJSON({ union, queries }) {
+		return new Union(queries.map(query => builder => statementFromJSON(builder, query)), union)
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a single common table expression in a `WITH` clause. The query for the expression can be
+ * provided as a builder function returning a select string, in the same manner as a `SubSelect`, as a `QueryBuilder`
+ * that will have its `select` output used, or as any other `Sql` object (e.g. a `Union` for recursive queries)
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class With extends Sql {
+	constructor(name, query, { recursive = false, materialized = null, columns = [] } = {}) {
+		super()
+		this._name = new Column(name)
+		this._recursive = recursive
+		this._materialized = materialized
+		this._columns = columns.map(column => new Column(column))
+		this._query = null
+		this._builder = null
+
+		if (typeof query === 'function') {
+			const subBuilder = nestedBuilder()
+			this._sql = outsideStatement(() => query(subBuilder))
+			if (this._sql == null || typeof this._sql !== 'string') {
+				throw new TypeError('Nested select function must return select string')
+			}
+			this._replacements = subBuilder._nestedReplacements()
+			this._builder = subBuilder
+		} else if (query instanceof QueryBuilder) { // eslint-disable-line no-use-before-define
+			const subBuilder = query.clone()
+			subBuilder._nested = true
+			this._sql = outsideStatement(() => subBuilder.select())
+			this._replacements = subBuilder._nestedReplacements()
+			this._builder = subBuilder
+		} else if (query instanceof Sql) {
+			this._sql = null
+			this._replacements = query.getReplacements()
+			this._query = query
+		} else {
+			throw new TypeError('Common table expression must be a builder function, QueryBuilder or Sql object')
+		}
+	}
+
+	/**
+	 * @returns {boolean} Whether this expression requires the `WITH` clause to be `RECURSIVE`
+	 */
+	isRecursive() {
+		return this._recursive
+	}
+
+	toSql() {
+		const buffer = [this._name.toSql()]
+		if (this._columns.length > 0) {
+			buffer.push(`(${ concatPossibleSqlList(this._columns) })`)
+		}
+		buffer.push('AS')
+		if (this._materialized === true) {
+			buffer.push('MATERIALIZED')
+		} else if (this._materialized === false) {
+			buffer.push('NOT MATERIALIZED')
+		}
+		buffer.push(`(${ this._query == null ? nestedSql(this._builder, this._sql) : this._query.toSql() })`)
+
+		return buffer.join(' ')
+	}
+
+	getReplacements() { return this._replacements }
+	columns() { return [] }
+
+	toJSON() {
+		return {
+			type: 'With',
+			name: this._name._parts.join('.'),
+			query: this._query == null ? statementToJSON(this._builder) : this._query.toJSON(),
+			recursive: this._recursive,
+			materialized: this._materialized,
+			columns: this._columns.map(column => column._parts.join('.')),
+		}
+	}
+
+	static fromJSON({ name, query, recursive, materialized, columns }) {
+		const expression = query.type == null ? builder => statementFromJSON(builder, query) : decodeJSON(query)
+		return new With(name, expression, { recursive, materialized, columns })
+	}
+}
+
+class Join extends Sql {
+
+	prefix() { return '' }
+	suffix() { return '' }
+
+	constructor(table, condition = null, tableAlias = null) {
+		if (!(condition == null || condition instanceof Sql)) {
+			throw new TypeError('Must provide a valid WHERE clause for join condition')
+		}
+		super()
+
+		this._replacements = {}
+		if (tableAlias != null) {
+			this._alias = new Column(tableAlias)
+		} else {
+			this._alias = null
+		}
+
+		if (table instanceof Sql) {
+			this._table = table
+			Object.assign(this._replacements, table.getReplacements())
+		} else {
+			this._table = new Column(table)
+		}
+
+		if (condition != null) {
+			this._condition = condition
+			Object.assign(this._replacements, condition.getReplacements())
+		} else {
+			this._condition = null
+		}
+	}
+
+	toSql() {
+		const buffer = [
+			this.prefix(),
+			'JOIN',
+			this.suffix(),
+			this._table,
+			this._alias,
+			this._condition == null ? null : 'ON',
+			this._condition,
+		].filter(Boolean)
+
+		return concatPossibleSqlList(buffer, ' ')
+	}
+
+	/**
+	 * Whether this join can be rewritten as a plain `FROM` item with its condition moved into the `WHERE` clause. Only
+	 * inner and cross joins can be rewritten this way without changing the meaning of the query
+	 *
+	 * @returns {boolean} True if {@link module:src/database/QueryBuilder~Join#toFromItem|toFromItem} can be used
+	 */
+	isFromItem() {
+		return ['', 'INNER', 'CROSS'].includes(this.prefix())
+	}
+
+	/**
+	 * Serialize the joined table as a `FROM` item, without the join keywords or condition
+	 *
+	 * @returns {string} The table, or lateral subselect, followed by its alias
+	 */
+	toFromItem() {
+		const buffer = [
+			this.suffix(),
+			this._table,
+			this._alias,
+		].filter(Boolean)
+
+		return concatPossibleSqlList(buffer, ' ')
+	}
+
+	getReplacements() {
+		return this._replacements
+	}
+
+	columns() {
+		return collectColumns(this._condition)
+	}
+
+	toJSON() {
+		return {
+			type: this.constructor.name,
+			table: this._table.toJSON(),
+			condition: this._condition == null ? null : this._condition.toJSON(),
+			alias: this._alias == null ? null : this._alias._parts.join('.'),
+		}
+	}
+
+	static fromJSON({ table, condition, alias }) {
+		return new this(decodeJSON(table), condition == null ? null : decodeJSON(condition), alias)
+	}
+}
+
+class LateralCrossJoin extends Join {
+	prefix() { return 'CROSS' }
+	suffix() { return 'LATERAL' }
+}
+class LateralLeftJoin extends Join {
+	prefix() { return 'LEFT' }
+	suffix() { return 'LATERAL' }
+}
+class OuterJoin extends Join {
+	prefix() { return 'OUTER' }
+}
+class LeftOuterJoin extends Join {
+	prefix() { return 'LEFT OUTER' }
+}
+class FullOuterJoin extends Join {
+	prefix() { return 'FULL OUTER' }
+}
+class InnerJoin extends Join {
+	prefix() { return 'INNER' }
+}
+// ---
+
+// --- Predicate Types
+/**
+ * @class
+ * @classdesc Represents a check that a value is one of a list of values, or one of the rows returned by a `SubSelect`.
+ * Lists are bound as a single array replacement and checked with `= ANY(...)`, so the statement is the same whatever
+ * the length of the list
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class In extends Where {
+	constructor(left, values) {
+		if (values instanceof SubSelect) {
+			super(left, values, 'IN')
+		} else if (Array.isArray(values) || values instanceof Sql) {
+			super(left, new Fn('ANY', values), '=')
+		} else {
+			throw new TypeError('In condition must be constructed from an array, Sql object or SUBSELECT clause')
+		}
+	}
+}
+
+/**
+ * @class
+ * @classdesc The inverse of {@link module:src/database/QueryBuilder~In|In}. Lists are checked with `<> ALL(...)`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class NotIn extends Where {
+	constructor(left, values) {
+		if (values instanceof SubSelect) {
+			super(left, values, 'NOT IN')
+		} else if (Array.isArray(values) || values instanceof Sql) {
+			super(left, new Fn('ALL', values), '<>')
+		} else {
+			throw new TypeError('NotIn condition must be constructed from an array, Sql object or SUBSELECT clause')
+		}
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents an inclusive range check of the form `column BETWEEN low AND high`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class Between extends Where {
+	constructor(left, low, high) {
+		const bounds = [low, high].map(value => {
+			if (value instanceof Sql) {
+				return value
+			}
+			return new Literal(value)
+		})
+		super(left, new Raw(bounds[0], 'AND', bounds[1]), 'BETWEEN')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a pattern match using `LIKE`. The pattern is bound as a replacement; when a `match` option is
+ * provided, any wildcard characters in the value are escaped and the wildcards for that kind of match are added, so
+ * that user input can be searched for literally
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class Like extends Where {
+	/**
+	 * Escape the `LIKE` wildcard characters (`%` and `_`), as well as the escape character itself, in a value
+	 *
+	 * @param {string} value The value to escape
+	 * @returns {string} A pattern that will only match the value literally
+	 */
+	static escape(value) {
+		return String(value).replace(/[\\%_]/g, char => `\\${ char }`)
+	}
+
+	/**
+	 * Create a new `Like` condition
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} left The column to match against
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} pattern The pattern to match. Sql objects are serialized
+	 * as-is, and strings will be bound as a replacement
+	 *
+	 * @param {Object} [options = {}] Matching options
+	 * @param {string} [options.match = null] One of `exact`, `prefix`, `suffix` or `contains`. If provided, the pattern
+	 * will be escaped and wrapped with the appropriate wildcards. If not provided, the pattern is used as-is
+	 */
+	constructor(left, pattern, { match = null } = {}) {
+		super(left, Like._pattern(pattern, match), 'LIKE')
+	}
+
+	static _pattern(pattern, match) {
+		if (pattern instanceof Sql || match == null) {
+			return pattern
+		}
+
+		const escaped = Like.escape(pattern)
+		switch (match) {
+			case 'exact':
+				return escaped
+			case 'prefix':
+				return `${ escaped }%`
+			case 'suffix':
+				return `%${ escaped }`
+			case 'contains':
+				return `%${ escaped }%`
+			default:
+				throw new TypeError(`Unknown match type "${ match }", expected one of exact, prefix, suffix, contains`)
+		}
+	}
+}
+
+/**
+ * @class
+ * @classdesc A case insensitive version of {@link module:src/database/QueryBuilder~Like|Like}, using `ILIKE`
+ *
+ * @extends module:src/database/QueryBuilder~Like
+ */
+class ILike extends Like {
+	constructor(...args) {
+		super(...args)
+		this._operator = 'ILIKE'
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a value is `NULL`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class IsNull extends Where {
+	constructor(left) {
+		super(left, new Null(), 'IS')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a value is not `NULL`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class IsNotNull extends Where {
+	constructor(left) {
+		super(left, new Null(), 'IS NOT')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a subquery returns at least one row
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class Exists extends Where {
+	/**
+	 * @param {Function|module:src/database/QueryBuilder~SubSelect} select The subquery to check. A builder function
+	 * will be wrapped in a `SubSelect`
+	 */
+	constructor(select) {
+		const sub = typeof select === 'function' ? new SubSelect(select) : select
+		if (!(sub instanceof SubSelect)) {
+			throw new TypeError('Exists condition must be constructed from a SUBSELECT clause')
+		}
+		super(sub, null, null)
+		this._prefix = 'EXISTS '
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents the negation of any other condition, including groups of conditions
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class Not extends Where {
+	constructor(condition) {
+		if (!(condition instanceof Sql)) {
+			throw new TypeError('Not condition must be constructed from an Sql condition')
+		}
+		super(condition, null, null)
+		this._prefix = 'NOT ('
+		this._suffix = ')'
+	}
+}
+// ---
+
+// --- JSON Types
+/**
+ * Create a condition operand for a JSON value. Strings are treated as column names, while `Sql` objects (such as a
+ * `JsonGet`) are used as-is
+ *
+ * @param {string|module:src/database/QueryBuilder~Sql} column The JSON column or expression
+ * @returns {module:src/database/QueryBuilder~Sql} The operand
+ */
+function jsonOperand(column) {
+	if (column instanceof Sql) {
+		return column
+	}
+	return new Column(column)
+}
+
+/**
+ * Serialize a list of values as a Postgres array literal (e.g. `{"a","b"}`). Nested lists become nested arrays, and
+ * null values become `NULL`
+ *
+ * @param {Array.<*>} values The values of the array
+ * @returns {string} The array literal
+ */
+function arrayLiteral(values) {
+	const elements = values.map(value => {
+		if (value == null) {
+			return 'NULL'
+		}
+		if (Array.isArray(value)) {
+			return arrayLiteral(value)
+		}
+		const text = value instanceof Date ? value.toISOString() : String(value)
+		return `"${ text.replace(/[\\"]/g, '\\$&') }"`
+	})
+	return `{${ elements.join(',') }}`
+}
+
+/**
+ * Bind a value as a Postgres array literal of text (e.g. `{"a","b"}`) cast to `text[]`. Binding the literal as a string,
+ * rather than binding the array itself, works the same way whether the replacements are interpolated by Sequelize or
+ * sent to the database by node-postgres
+ *
+ * @param {Array.<string>} values The values of the array
+ * @returns {module:src/database/QueryBuilder~Cast} The bound array
+ */
+function textArray(values) {
+	if (!Array.isArray(values)) {
+		throw new TypeError('Must provide an array of keys')
+	}
+	return new Cast(new Literal(arrayLiteral(values)), 'text[]')
+}
+
+/**
+ * @class
+ * @classdesc Represents access to a field of a JSON value using the `->` operator, or `->>` to get the field as text.
+ * String keys are bound as replacements, while integer keys index into arrays. The expression is wrapped in brackets,
+ * so that it can be used with a `Cast` or in a condition without any precedence issues
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class JsonGet extends Sql {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} column The JSON column or expression
+	 * @param {string|number|Array.<(string|number)>} path The key to get, or a list of keys to follow in turn
+	 * @param {Object} [options = {}] Access options
+	 * @param {boolean} [options.text = false] Get the final field as text using `->>`
+	 */
+	constructor(column, path, { text = false } = {}) {
+		super()
+		const keys = Array.isArray(path) ? path : [path]
+		if (keys.length < 1) {
+			throw new TypeError('Must provide at least one key to get from a JSON value')
+		}
+
+		this._column = jsonOperand(column)
+		this._keys = keys.map(key => {
+			if (typeof key === 'number') {
+				if (!Number.isInteger(key)) {
+					throw new TypeError(`JSON array index must be an integer, received "${ key }"`)
+				}
+				return String(key)
+			}
+			return new Literal(key)
+		})
+		this._text = text
+	}
+
+	toSql() {
+		const last = this._keys.length - 1
+		const buffer = this._keys.map((key, index) => {
+			const operator = index === last && this._text ? '->>' : '->'
+			return `${ operator }${ concatPossibleSqlList([key]) }`
+		})
+
+		return `(${ this._column.toSql() }${ buffer.join('') })`
+	}
+
+	getReplacements() {
+		return sqlListToReplacements([this._column, ...this._keys])
+	}
+
+	toJSON() {
+		const path = this._keys.map(key => {
+			if (key instanceof Literal) {
+				return key.getReplacements()[key._ident]
+			}
+			return Number(key)
+		})
+		return { type: 'JsonGet', column: this._column.toJSON(), path, text: this._text }
+	}
+
+	static fromJSON({ column, path, text }) {
+		return new JsonGet(decodeJSON(column), path, { text })
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents access to a nested field of a JSON value using the `#>` operator, or `#>>` to get the field as
+ * text. The path is bound as a single `text[]` replacement
+ *
+ * @extends module:src/database/QueryBuilder~Sql
+ */
+class JsonPath extends Sql {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} column The JSON column or expression
+	 * @param {Array.<(string|number)>} path The keys to follow
+	 * @param {Object} [options = {}] Access options
+	 * @param {boolean} [options.text = false] Get the field as text using `#>>`
+	 */
+	constructor(column, path, { text = false } = {}) {
+		super()
+		this._column = jsonOperand(column)
+		this._keys = path
+		this._path = textArray(path)
+		this._text = text
+	}
+
+	toSql() {
+		return `(${ this._column.toSql() } ${ this._text ? '#>>' : '#>' } ${ this._path.toSql() })`
+	}
+
+	getReplacements() {
+		return sqlListToReplacements([this._column, this._path])
+	}
+
+	toJSON() {
+		return { type: 'JsonPath', column: this._column.toJSON(), path: this._keys, text: this._text }
+	}
+
+	static fromJSON({ column, path, text }) {
+		return new JsonPath(decodeJSON(column), path, { text })
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a `jsonb` value contains another value, using `@>`. The value is serialised to
+ * JSON and bound as a replacement
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class JsonContains extends Where {
+	constructor(column, value) {
+		super(jsonOperand(column), value instanceof Sql ? value : new Cast(new Literal(JSON.stringify(value)), 'jsonb'), '@>')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a `jsonb` value is contained by another value, using `<@`. The value is serialised
+ * to JSON and bound as a replacement
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class JsonContainedBy extends Where {
+	constructor(column, value) {
+		super(jsonOperand(column), value instanceof Sql ? value : new Cast(new Literal(JSON.stringify(value)), 'jsonb'), '<@')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a `jsonb` object has a top level key, using `?`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class JsonHasKey extends Where {
+	constructor(column, key) {
+		super(jsonOperand(column), key, '?')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a `jsonb` object has at least one of a list of top level keys, using `?|`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class JsonHasAnyKey extends Where {
+	constructor(column, keys) {
+		super(jsonOperand(column), textArray(keys), '?|')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a `jsonb` object has every one of a list of top level keys, using `?&`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class JsonHasAllKeys extends Where {
+	constructor(column, keys) {
+		super(jsonOperand(column), textArray(keys), '?&')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents a check that a JSON path returns at least one item for a `jsonb` value, using
+ * `jsonb_path_exists`. The path and any variables are bound as replacements
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class JsonPathExists extends Where {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} column The JSON column or expression
+	 * @param {string} path The SQL/JSON path expression, e.g. `$.tags[*] ? (@ == $tag)`
+	 * @param {Object} [vars = null] Values for any variables used in the path
+	 */
+	constructor(column, path, vars = null) {
+		const args = [jsonOperand(column), new Cast(new Literal(path), 'jsonpath')]
+		if (vars != null) {
+			args.push(new Cast(new Literal(JSON.stringify(vars)), 'jsonb'))
+		}
+		super(new Fn('jsonb_path_exists', ...args), null, null)
+	}
+}
+// ---
+
+// --- Text Search Types
+/**
+ * @class
+ * @classdesc Represents the conversion of a text document into a `tsvector` for full text searching, using
+ * `to_tsvector`. The text search configuration is bound as a replacement; if one isn't provided, the database's
+ * `default_text_search_config` will be used
+ *
+ * @extends module:src/database/QueryBuilder~Fn
+ */
+class TsVector extends Fn {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} document The text to convert. Strings will be processed as a
+	 * {@link module:src/database/QueryBuilder~Column|Column}
+	 * @param {Object} [options = {}] Conversion options
+	 * @param {string} [options.config = null] The text search configuration to use, e.g. `english`
+	 */
+	constructor(document, { config = null } = {}) {
+		const args = config == null ? [] : [config]
+		super('to_tsvector', ...args, document instanceof Sql ? document : new Column(document))
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents the conversion of a search string into a `tsquery`. By default, the search string is parsed with
+ * `websearch_to_tsquery`, which accepts the syntax people expect from a search box (quoted phrases, `or` and `-`) and
+ * never throws for malformed input. The search string and configuration are bound as replacements
+ *
+ * @extends module:src/database/QueryBuilder~Fn
+ */
+class TsQuery extends Fn {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} query The search string
+	 * @param {Object} [options = {}] Conversion options
+	 * @param {string} [options.config = null] The text search configuration to use, e.g. `english`
+	 * @param {string} [options.parser = websearch] How to parse the search string. One of `websearch`, `plain`
+	 * (`plainto_tsquery`), `phrase` (`phraseto_tsquery`) or `raw` (`to_tsquery`, which requires valid tsquery syntax)
+	 */
+	constructor(query, { config = null, parser = 'websearch' } = {}) {
+		const parsers = {
+			websearch: 'websearch_to_tsquery',
+			plain: 'plainto_tsquery',
+			phrase: 'phraseto_tsquery',
+			raw: 'to_tsquery',
+		}
+		if (!parsers.hasOwnProperty(parser)) {
+			throw new TypeError(`Unknown search parser "${ parser }", expected one of ${ Object.keys(parsers).join(', ') }`)
+		}
+		const args = config == null ? [] : [config]
+		super(parsers[parser], ...args, query)
+	}
+}
+
+/**
+ * Create the `tsvector` and `tsquery` operands for a text search helper
+ *
+ * @param {string|module:src/database/QueryBuilder~Sql} document A text column to convert with `to_tsvector`, or an
+ * `Sql` object that is already a `tsvector` (such as a `TsVector` or a stored `tsvector` column)
+ * @param {string|module:src/database/QueryBuilder~Sql} query A search string to convert with `TsQuery`, or an `Sql`
+ * object that is already a `tsquery`
+ * @param {Object} options The `config` and `parser` options for the conversions
+ * @returns {Array.<module:src/database/QueryBuilder~Sql>} The `tsvector` and `tsquery` operands
+ */
+function searchOperands(document, query, { config = null, parser = 'websearch' } = {}) {
+	return [
+		document instanceof Sql ? document : new TsVector(document, { config }),
+		query instanceof Sql ? query : new TsQuery(query, { config, parser }),
+	]
+}
+
+/**
+ * @class
+ * @classdesc Represents a full text search condition, matching a document against a search string with `@@`
+ *
+ * @extends module:src/database/QueryBuilder~Where
+ */
+class TextSearch extends Where {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} document A text column, or a `tsvector` expression
+	 * @param {string|module:src/database/QueryBuilder~Sql} query A search string, or a `tsquery` expression
+	 * @param {Object} [options = {}] Search options
+	 * @param {string} [options.config = null] The text search configuration to use
+	 * @param {string} [options.parser = websearch] How to parse the search string, as for a `TsQuery`
+	 */
+	constructor(document, query, options = {}) {
+		const [vector, tsquery] = searchOperands(document, query, options)
+		super(vector, tsquery, '@@')
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents the relevance of a document to a search string, using `ts_rank` (or `ts_rank_cd` when ranking
+ * by cover density). Typically used with a `Select` alias and sorted in descending order
+ *
+ * @extends module:src/database/QueryBuilder~Fn
+ */
+class TsRank extends Fn {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} document A text column, or a `tsvector` expression
+	 * @param {string|module:src/database/QueryBuilder~Sql} query A search string, or a `tsquery` expression
+	 * @param {Object} [options = {}] Ranking options
+	 * @param {string} [options.config = null] The text search configuration to use
+	 * @param {string} [options.parser = websearch] How to parse the search string, as for a `TsQuery`
+	 * @param {number} [options.normalization = null] The normalization flags, controlling how document length affects
+	 * the rank
+	 * @param {boolean} [options.cover = false] Rank using cover density with `ts_rank_cd`
+	 */
+	constructor(document, query, { normalization = null, cover = false, ...options } = {}) {
+		const args = searchOperands(document, query, options)
+		if (normalization != null) {
+			args.push(normalization)
+		}
+		super(cover ? 'ts_rank_cd' : 'ts_rank', ...args)
+	}
+}
+
+/**
+ * @class
+ * @classdesc Represents an excerpt of a document with the words matching a search string highlighted, using
+ * `ts_headline`
+ *
+ * @extends module:src/database/QueryBuilder~Fn
+ */
+class TsHeadline extends Fn {
+	/**
+	 * @param {string|module:src/database/QueryBuilder~Sql} document The text column to create the excerpt from
+	 * @param {string|module:src/database/QueryBuilder~Sql} query A search string, or a `tsquery` expression
+	 * @param {Object} [options = {}] Headline options
+	 * @param {string} [options.config = null] The text search configuration to use
+	 * @param {string} [options.parser = websearch] How to parse the search string, as for a `TsQuery`
+	 * @param {Object.<string, (string|number)>} [options.headline = null] Options for `ts_headline`, such as
+	 * `{ StartSel: '<b>', StopSel: '</b>', MaxWords: 35 }`
+	 */
+	constructor(document, query, { config = null, parser = 'websearch', headline = null } = {}) {
+		const args = config == null ? [] : [config]
+		args.push(document instanceof Sql ? document : new Column(document))
+		args.push(query instanceof Sql ? query : new TsQuery(query, { config, parser }))
+		if (headline != null) {
+			args.push(Object.keys(headline).map(key => `${ key }=${ headline[key] }`).join(', '))
+		}
+		super('ts_headline', ...args)
+	}
+}
+// ---
+
+// --- Conditional Types
+class When extends Sql {
+	constructor(condition, select) {
+		if (!(condition instanceof Where) || !(select instanceof SubSelect)) {
+			throw new TypeError('When clause must be constructed from a WHERE and a SUBSELECT clause')
+		}
+		super()
+
+		this._replacements = {}
+		this._condition = condition
+		Object.assign(this._replacements, condition.getReplacements())
+
+		this._select = select
+		Object.assign(this._replacements, select.getReplacements())
+	}
+
+	toSql() {
+		return `WHEN ${ this._condition.toSql() } THEN ${ this._select.toSql() }`
+	}
+	getReplacements() {
+		return this._replacements
+	}
+
+	toJSON() { return { type: 'When', condition: this._condition.toJSON(), select: this._select.toJSON() } }
+	static fromJSON({ condition, select }) { return new When(decodeJSON(condition), decodeJSON(select)) }
+}
+
+class Else extends Sql {
+	constructor(select) {
+		if (!(select instanceof SubSelect)) {
+			throw new TypeError('Else clause must be constructed from a SUBSELECT clause')
+		}
+		super()
+		this._select = select
+		this._replacements = select.getReplacements()
+	}
+
+	toSql() {
+		return `ELSE ${ this._select.toSql() }`
+	}
+
+	getReplacements() {
+		return this._replacements
+	}
+
+	toJSON() { return { type: 'Else', select: this._select.toJSON() } }
+	static fromJSON({ select }) { return new Else(decodeJSON(select)) }
+}
+
+class Case extends Sql {
+	static Else(...args) { return new Else(...args) }
+	static When(...args) { return new When(...args) }
+	constructor(name, whenBranches, elseBranch = null) {
+		super()
+
+		this._name = new Column(name)
+		this._replacements = {}
+		this._whens = whenBranches
+		Object.assign(this._replacements, sqlListToReplacements(whenBranches))
+
+		this._else = elseBranch
+		if (elseBranch != null) {
+			Object.assign(this._replacements, elseBranch.getReplacements())
+		}
+	}
+
+	toSql() {
+		const buffer = [
+			'CASE',
+			concatPossibleSqlList(this._whens, ' '),
+		]
+
+		if (this._else != null) {
+			buffer.push(this._else.toSql())
+		}
+
+		buffer.push('END AS')
+		buffer.push(this._name.toSql())
+
+		return buffer.join(' ')
+	}
+
+	columns() {
+		return collectColumns([this._whens, this._else])
+	}
+
+	toJSON() {
+		return {
+			type: 'Case',
+			name: this._name._parts.join('.'),
+			whens: this._whens.map(branch => branch.toJSON()),
+			else: this._else == null ? null : this._else.toJSON(),
+		}
+	}
+
+	static fromJSON({ name, whens, else: branch }) {
+		return new Case(name, whens.map(decodeJSON), branch == null ? null : decodeJSON(branch))
+	}
+}
+// ---
+
+// --- Schema Types
+/**
+ * @class
+ * @classdesc Describes the columns of a database table, so that a QueryBuilder bound to the table can reject unknown
+ * columns when a statement is generated instead of leaving the database to report them. Values bound for columns whose
+ * type can not be inferred by Postgres from a bound parameter (`json`, `jsonb` and array types, or any column declared
+ * with `cast: true`) are cast to the declared type. JSON values and arrays are serialized before being bound, in the
+ * same way as the keys of a `JsonHasAnyKey` check
+ *
+ * Unqualified column names are only checked for queries without joins, as they may belong to a joined table. Column
+ * names qualified with another table's name are never checked
+ */
+class Table {
+	/**
+	 * Create a new table schema
+	 *
+	 * @param {string} name The name of the table
+	 *
+	 * @param {Object.<string, (string|Object)>} columns An object mapping column names to their Postgres type, or to an
+	 * object of the form `{ type, nullable, cast }`. Columns are nullable unless declared with `nullable: false`, and
+	 * `cast` can be used to always (`true`) or never (`false`) cast bound values to the column type
+	 */
+	constructor(name, columns) {
+		if (typeof name !== 'string' || name.length < 1) {
+			throw new TypeError('Must provide a name for the table')
+		}
+		if (!isPlainObject(columns) || Object.keys(columns).length < 1) {
+			throw new TypeError(`Must provide at least one column for table "${ name }"`)
+		}
+
+		this.name = name
+		this._columns = Object.keys(columns).reduce((acc, column) => {
+			const definition = typeof columns[column] === 'string' ? { type: columns[column] } : columns[column]
+			if (definition == null || typeof definition.type !== 'string') {
+				throw new TypeError(`Must provide a type for column "${ column }" of table "${ name }"`)
+			}
+			const { type, nullable = true, cast = null } = definition
+			return Object.assign(acc, { [column]: { type: type.trim().toLowerCase(), nullable, cast } })
+		}, {})
+	}
+
+	/**
+	 * @returns {Array.<string>} The names of every column in the table
+	 */
+	get columnNames() {
+		return Object.keys(this._columns)
+	}
+
+	/**
+	 * Get the definition of a column. Names may be qualified with the name of this table
+	 *
+	 * @param {string} name The name of the column
+	 * @returns {{type: string, nullable: boolean, cast: ?boolean}} The column definition
+	 * @throws {Error} If the table has no such column
+	 */
+	column(name) {
+		return this.resolve(name.split('.'), { strict: true })
+	}
+
+	/**
+	 * Find the definition of a referenced column, given the parts of its (possibly qualified) name
+	 *
+	 * @param {Array.<string>} parts The parts of the column name, e.g. `['users', 'id']`
+	 * @param {Object} [options = {}] Resolution options
+	 * @param {boolean} [options.strict = true] Whether an unqualified name must belong to this table
+	 * @returns {?{type: string, nullable: boolean, cast: ?boolean}} The column definition, or null if the name refers
+	 * to every column, a column of another table, or (when not strict) an unknown unqualified column
+	 * @throws {Error} If the name refers to this table but the table has no such column
+	 */
+	resolve(parts, { strict = true } = {}) {
+		const [name, qualifier = null, ...rest] = parts.slice().reverse()
+		if (name === '*' || rest.length > 0 || (qualifier != null && qualifier !== this.name)) {
+			return null
+		}
+		if (this._columns.hasOwnProperty(name)) {
+			return this._columns[name]
+		}
+		if (qualifier == null && !strict) {
+			return null
+		}
+		throw new Error(`Unknown column "${ name }" for table "${ this.name }"`)
+	}
+
+	/**
+	 * Cast a value to the type of a column, if the column requires it. Unknown columns and `Sql` objects are left as-is
+	 *
+	 * @param {string} name The name of the column the value is bound for
+	 * @param {*} value The value to cast
+	 * @returns {*|module:src/database/QueryBuilder~Cast} Either the value or a `Cast` of the bound value
+	 */
+	cast(name, value) {
+		const definition = this.resolve(name.split('.'), { strict: false })
+		if (definition == null || value == null || value instanceof Sql || !Table._requiresCast(definition)) {
+			return value
+		}
+		let bound = value
+		if (['json', 'jsonb'].includes(definition.type)) {
+			bound = JSON.stringify(value)
+		} else if (Array.isArray(value)) {
+			bound = arrayLiteral(value)
+		}
+		return new Cast(new Literal(bound), definition.type)
+	}
+
+	/**
+	 * Bind a value that will be written to a column by an `INSERT` or `UPDATE`, casting it if required
+	 *
+	 * @param {string} name The name of the column
+	 * @param {*} value The value to write
+	 * @returns {module:src/database/QueryBuilder~Sql} The bound value
+	 * @throws {Error} If the column is unknown, or the value is null for a column that is not nullable
+	 */
+	bind(name, value) {
+		const definition = this.column(name)
+		if (value instanceof Sql) {
+			return value
+		}
+		if (value == null) {
+			if (!definition.nullable) {
+				throw new TypeError(`Column "${ name }" of table "${ this.name }" can not be null`)
+			}
+			return new Literal(null)
+		}
+		const cast = this.cast(name, value)
+		return cast instanceof Sql ? cast : new Literal(value)
+	}
+
+	static _requiresCast({ type, cast }) {
+		if (cast != null) {
+			return cast
+		}
+		return ['json', 'jsonb'].includes(type) || type.endsWith('[]')
+	}
+}
+// ---
+
+// --- Adapters
+/**
+ * An adapter runs compiled queries against a database driver. Any object with this shape can be used as an adapter
+ *
+ * @typedef {Object} Adapter
+ * @property {string} style The placeholder style the driver expects, either `named` or `positional`. Queries will be
+ * compiled with this style before being passed to `query`
+ * @property {function(string, (Array.<*>|{})): Promise.<Array.<Object>>} query Run a query with its bound values,
+ * resolving to the rows it returns
+ */
+
+/**
+ * @class
+ * @classdesc Runs queries through `Sequelize.query`, using named replacements. Sequelize writes an array replacement as
+ * a comma separated list of values, which is not valid for the `= ANY(...)` of an `In` condition, so arrays are passed
+ * as Postgres array literals (e.g. `'{"a","b"}'`) instead, which Postgres converts to an array of the compared type
+ *
+ * @implements {Adapter}
+ */
+class SequelizeAdapter {
+	/**
+	 * @param {Object} sequelize A Sequelize instance
+	 * @param {Object} [options = {}] Additional options passed to every `Sequelize.query` call, such as a `transaction`.
+	 * Any `type` option is left out, because the rows are read from the `[results, metadata]` pair that Sequelize only
+	 * returns for raw queries
+	 */
+	constructor(sequelize, options = {}) {
+		this._sequelize = sequelize
+		this._options = Object.assign({}, options)
+		delete this._options.type
+	}
+
+	get style() { return 'named' }
+
+	async query(text, replacements) {
+		const values = Object.keys(replacements).reduce((acc, key) => {
+			const value = replacements[key]
+			return Object.assign(acc, { [key]: Array.isArray(value) ? arrayLiteral(value) : value })
+		}, {})
+		const [rows] = await this._sequelize.query(text, { ...this._options, replacements: values })
+		return rows
+	}
+}
+
+/**
+ * @class
+ * @classdesc Runs queries through a node-postgres `Client` or `Pool`, using positional parameters
+ *
+ * @implements {Adapter}
+ */
+class PgAdapter {
+	/**
+	 * @param {Object} client A node-postgres `Client`, `Pool` or `PoolClient`
+	 */
+	constructor(client) {
+		this._client = client
+	}
+
+	get style() { return 'positional' }
+
+	async query(text, values) {
+		const result = await this._client.query({ text, values })
+		return result.rows
+	}
+}
+
+/**
+ * @class
+ * @classdesc A fake adapter that records every query it is given instead of running it, for testing code that uses a
+ * QueryBuilder without a database. Queued responses are returned in order, after which the `handler` is used
+ *
+ * @implements {Adapter}
+ */
+class MemoryAdapter {
+	/**
+	 * @param {Object} [options = {}] Adapter options
+	 * @param {string} [options.style = named] The placeholder style to record queries with
+	 * @param {function(string, (Array.<*>|{})): Array.<Object>} [options.handler] Creates the rows for any query without
+	 * a queued response. Returns no rows by default
+	 */
+	constructor({ style = 'named', handler = () => [] } = {}) {
+		if (!['named', 'positional'].includes(style)) {
+			throw new TypeError(`Unknown placeholder style "${ style }"`)
+		}
+		this._style = style
+		this._handler = handler
+		this._responses = []
+		this.queries = []
+	}
+
+	get style() { return this._style }
+
+	/**
+	 * Queue the response for a future query
+	 *
+	 * @param {Array.<Object>|Error} rows The rows to return, or an error to reject the query with
+	 * @returns {MemoryAdapter} This adapter
+	 */
+	respond(rows) {
+		this._responses.push(rows)
+		return this
+	}
+
+	query(text, values) {
+		this.queries.push({ text, values })
+		const response = this._responses.length > 0 ? this._responses.shift() : this._handler(text, values)
+		if (response instanceof Error) {
+			return Promise.reject(response)
+		}
+		return Promise.resolve(response)
+	}
+}
+// ---
+
+/**
+ * @borrows Where as QueryBuilder.Where
+ */
+class QueryBuilder {
+	/**
+	 * Create a new Where object, specifying a conditional clause for filtering the rows found by the query
+	 *
+	 * @returns {Where} A Where clause object
+	 */
+	static Where(...args) { return new Where(...args) }
+	static Column(...args) { return new Column(...args) }
+	static Literal(value) { return new Literal(value) }
+	static Raw(...args) { return new Raw(...args) }
+	static Select(...args) { return new Select(...args) }
+	static Order(...args) { return new Order(...args) }
+	static OrderFromInput(...args) { return Order.fromInput(...args) }
+	static SubSelect(builderFn, name) { return new SubSelect(builderFn, name) }
+
+	static Fn(...args) { return new Fn(...args) }
+	static Over(...args) { return new Over(...args) }
+	static Window(...args) { return new Window(...args) }
+	static Null() { return new Null() }
+	static Cast(...args) { return new Cast(...args) }
+	static Excluded(name) { return new Excluded(name) }
+	static Constraint(name) { return new Constraint(name) }
+	static And(...args) { return new And(...args) }
+	static Or(...args) { return new Or(...args) }
+	static Not(condition) { return new Not(condition) }
+
+	static In(...args) { return new In(...args) }
+	static NotIn(...args) { return new NotIn(...args) }
+	static Between(...args) { return new Between(...args) }
+	static Like(...args) { return new Like(...args) }
+	static ILike(...args) { return new ILike(...args) }
+	static IsNull(left) { return new IsNull(left) }
+	static IsNotNull(left) { return new IsNotNull(left) }
+	static Exists(select) { return new Exists(select) }
+
+	static JsonGet(...args) { return new JsonGet(...args) }
+	static JsonPath(...args) { return new JsonPath(...args) }
+	static JsonContains(...args) { return new JsonContains(...args) }
+	static JsonContainedBy(...args) { return new JsonContainedBy(...args) }
+	static JsonHasKey(...args) { return new JsonHasKey(...args) }
+	static JsonHasAnyKey(...args) { return new JsonHasAnyKey(...args) }
+	static JsonHasAllKeys(...args) { return new JsonHasAllKeys(...args) }
+	static JsonPathExists(...args) { return new JsonPathExists(...args) }
+
+	static TsVector(...args) { return new TsVector(...args) }
+	static TsQuery(...args) { return new TsQuery(...args) }
+	static TextSearch(...args) { return new TextSearch(...args) }
+	static TsRank(...args) { return new TsRank(...args) }
+	static TsHeadline(...args) { return new TsHeadline(...args) }
+
+	static Case(...args) { return new Case(...args) }
+	static When(...args) { return Case.When(...args) }
+	static Else(...args) { return Case.Else(...args) }
+
+	static Join(...args) { return new Join(...args) }
+	static LateralCrossJoin(...args) { return new LateralCrossJoin(...args) }
+	static LateralLeftJoin(...args) { return new LateralLeftJoin(...args) }
+	static InnerJoin(...args) { return new InnerJoin(...args) }
+	static OuterJoin(...args) { return new OuterJoin(...args) }
+	static LeftOuterJoin(...args) { return new LeftOuterJoin(...args) }
+	static FullOuterJoin(...args) { return new FullOuterJoin(...args) }
+
+	static Union(...args) { return new Union(...args) }
+	static UnionAll(...fns) { return new Union(fns, 'ALL') }
+	static UnionDistinct(...fns) { return new Union(fns) } // Distinct == default
+
+	static SequelizeAdapter(...args) { return new SequelizeAdapter(...args) }
+	static PgAdapter(...args) { return new PgAdapter(...args) }
+	static MemoryAdapter(...args) { return new MemoryAdapter(...args) }
+
+	static Table(...args) { return new Table(...args) }
+
+	/**
+	 * Format a query for reading, with each clause on its own line. Subqueries and groups of conditions are indented,
+	 * and conditions joined by `AND` or `OR` each start a new line
+	 *
+	 * @param {string} text The query to format
+	 * @param {Object} [options = {}] Formatting options
+	 * @param {string} [options.indent = '  '] The string to indent each level with
+	 * @returns {string} The formatted query
+	 */
+	static formatSql(text, options) { return formatSql(text, options) }
+
+	/**
+	 * Create an opaque cursor token from the last row of a page, for use with
+	 * {@link module:src/database/QueryBuilder~QueryBuilder#paginateAfter|paginateAfter}
+	 *
+	 * @param {Object} row The last row of the current page
+	 * @param {Array.<(string|Array|Object)>} orderBy The same ordering that was passed to `paginateAfter`
+	 * @returns {string} A URL safe token containing the values of the ordered columns
+	 */
+	static encodeCursor(row, orderBy) {
+		const values = normaliseKeyset(orderBy).map(({ key }) => row[key])
+		return Buffer.from(JSON.stringify(values))
+			.toString('base64')
+			.replace(/\+/g, '-')
+			.replace(/\//g, '_')
+			.replace(/=+$/, '')
+	}
+
+	/**
+	 * Read the values from a cursor token created by {@link QueryBuilder.encodeCursor}
+	 *
+	 * @param {string} token The cursor token
+	 * @returns {Array.<*>} The values of the ordered columns
+	 * @throws {TypeError} If the token is not a valid cursor
+	 */
+	static decodeCursor(token) {
+		let values = null
+		try {
+			const base64 = String(token).replace(/-/g, '+').replace(/_/g, '/')
+			values = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'))
+		} catch (e) {
+			values = null
+		}
+		if (!Array.isArray(values)) {
+			throw new TypeError('Invalid pagination cursor')
+		}
+		return values
+	}
+
+	/**
+	 * Split the rows fetched by a query using `paginateAfter` into the current page and the cursor for the next page.
+	 * The query fetches one more row than the page size, which is only used to tell whether another page exists
+	 *
+	 * @param {Array.<Object>} rows The rows returned by the query
+	 * @param {Object} options The options that were passed to `paginateAfter`
+	 * @param {Array.<(string|Array|Object)>} options.orderBy The ordering of the query
+	 * @param {number|string} options.pageSize The number of rows in each page
+	 * @returns {{rows: Array.<Object>, next: ?string}} The rows for the page, and a cursor for the next page if there is
+	 * one
+	 */
+	static keysetPage(rows, { orderBy, pageSize }) {
+		const size = normalisePageSize(pageSize)
+		const page = rows.slice(0, size)
+		const next = rows.length > size ? QueryBuilder.encodeCursor(page[page.length - 1], orderBy) : null
+		return { rows: page, next }
+	}
+
+	/**
+	 * Recreate a QueryBuilder or `Sql` object from the description created by its `toJSON` method. Descriptions can be
+	 * stored or sent to another service as JSON; bound values are recreated as they appear in the JSON, so values such
+	 * as dates will be recreated as strings
+	 *
+	 * Descriptions received from elsewhere should be loaded hardened, either by passing the `hardened` option or
+	 * through `QueryBuilder.defaults`. Every part of the description is then checked as a hardened builder would check
+	 * it, including operators, function names, cast types and aliases, and the builder and any nested builders stay
+	 * hardened even if the description says otherwise. Selected fields, returned fields, `ORDER BY` terms and
+	 * `DISTINCT ON` expressions given as strings are quoted as column names, and `Raw` objects are rejected unless the
+	 * `allowRaw` option is given
+	 *
+	 * @param {{type: string}} json The description
+	 * @param {Object} [options = {}] Loading options
+	 * @param {boolean} [options.hardened] Check the description and recreate any builder as hardened. Defaults to
+	 * `QueryBuilder.defaults.hardened`
+	 * @param {boolean} [options.allowRaw = false] Trust any `Raw` objects in a description that is loaded hardened
+	 * @returns {QueryBuilder|module:src/database/QueryBuilder~Sql} The recreated builder or SQL object
+	 * @throws {TypeError} If the description is invalid, names a type that can not be recreated, or is unsafe when
+	 * loaded hardened
+	 */
+	static fromJSON(json, { hardened = QueryBuilder.defaults.hardened, allowRaw = false } = {}) {
+		const described = json != null && json.type === 'QueryBuilder' && json.options != null && json.options.hardened
+		const loadHardened = Boolean(hardened || described)
+		if (loadHardened && !allowRaw) {
+			walkJSON(json, node => {
+				if (node.type === 'Raw') {
+					throw new TypeError('Can not load Raw SQL hardened unless the allowRaw option is given')
+				}
+				return node
+			})
+		}
+		return withNestedOptions({ immutable: false, hardened: loadHardened }, () => {
+			if (json != null && json.type === 'QueryBuilder') {
+				const options = Object.assign({}, json.options, { hardened: loadHardened })
+				return new QueryBuilder(options)._load(json)
+			}
+			const node = decodeJSON(json)
+			if (loadHardened) {
+				assertSafeCondition(node)
+			}
+			return node
+		})
+	}
+
+	/**
+	 * Call a visitor for every part of a query, starting with the innermost. Each part is given to the visitor as its
+	 * JSON description (see {@link QueryBuilder.fromJSON}), and includes the descriptions of any nested builders, such
+	 * as the query of a `SubSelect`
+	 *
+	 * @param {QueryBuilder|module:src/database/QueryBuilder~Sql|Object} target The builder, SQL object or description
+	 * to visit
+	 * @param {Function|Object.<string, Function>} visitor Either a function to call for every description, or an object
+	 * mapping type names (e.g. `Join` or `QueryBuilder`) to the function to call for descriptions of that type
+	 */
+	static visit(target, visitor) {
+		const visitNode = visitorCallback(visitor)
+		walkJSON(describeQuery(target), json => {
+			visitNode(json)
+			return json
+		})
+	}
+
+	/**
+	 * Create a copy of a query with some of its parts replaced. Visitors are called in the same way as for
+	 * {@link QueryBuilder.visit}, and can return a replacement for the part they were given, as either a description,
+	 * an `Sql` object or a QueryBuilder. Returning nothing keeps the part as it is. The parts of a description are
+	 * visited before the description itself, so the visitor is always given any replacements already made within it
+	 *
+	 * @param {QueryBuilder|module:src/database/QueryBuilder~Sql|Object} target The builder, SQL object or description
+	 * to transform
+	 * @param {Function|Object.<string, Function>} visitor The visitor, as for `visit`
+	 * @returns {QueryBuilder|module:src/database/QueryBuilder~Sql|Object} A transformed copy of the target, of the same
+	 * kind as the target
+	 */
+	static transform(target, visitor) {
+		const visitNode = visitorCallback(visitor)
+		const transformed = walkJSON(describeQuery(target), json => {
+			const replacement = visitNode(json)
+			return replacement == null ? json : describeQuery(replacement)
+		})
+		if (target instanceof Sql || target instanceof QueryBuilder) {
+			return QueryBuilder.fromJSON(transformed)
+		}
+		return transformed
+	}
+
+	/**
+	 * Register a scope that is applied automatically to every query, such as limiting every table with an `org_id` to
+	 * the rows of the current tenant. Scopes are resolved each time a statement is generated, for the table of the
+	 * query and for every table it joins; nested queries, such as a `SubSelect`, are scoped in the same way. Common
+	 * table expressions of the query are never scoped, and a query can opt out of scopes with
+	 * {@link module:src/database/QueryBuilder~QueryBuilder#unscoped|unscoped}
+	 *
+	 * The condition for a table is either an object mapping column names to values, or an `Sql` condition, and the
+	 * tables it applies to must be listed in `options.tables`. Object conditions are qualified with the name or alias
+	 * of the table, and their single values are also written to each row of an `INSERT`. An `UPDATE`, or the update of
+	 * an `ON CONFLICT DO UPDATE`, can not set a scoped column to any other value, any `ON CONFLICT DO UPDATE` is limited
+	 * to the scoped rows of the table, and the rows of an `INSERT ... SELECT` can not be written to a table with scoped
+	 * values
+	 *
+	 * @param {string} name The name of the scope, used to opt out of it
+	 * @param {Object|Function} condition The condition to apply, or a function that creates the condition for a table.
+	 * The function is called with `{ table, alias, schema, statement }`, and can return `null` to leave a table
+	 * unscoped
+	 * @param {Object} [options = {}] Scope options
+	 * @param {Array.<(string|module:src/database/QueryBuilder~Table)>} [options.tables = null] The tables to scope,
+	 * which must be provided for an object or `Sql` condition. By default, functions are called for every table
+	 *
+	 * @throws {TypeError} If an object or `Sql` condition is registered without a list of tables
+	 * @throws {Error} If a scope with the same name has already been registered
+	 */
+	static addScope(name, condition, { tables = null } = {}) {
+		if (typeof name !== 'string' || name.length < 1) {
+			throw new TypeError('Must provide a name for the scope')
+		}
+		if (typeof condition !== 'function' && !isPlainObject(condition) && !(condition instanceof Sql)) {
+			throw new TypeError('Scope condition must be a function, an object of column values or an Sql condition')
+		}
+		if (tables != null && !Array.isArray(tables)) {
+			throw new TypeError('Scoped tables must be an array of table names or schemas')
+		}
+		if (typeof condition !== 'function' && tables == null) {
+			throw new TypeError('Must provide the tables to scope with an object or Sql condition')
+		}
+		if (SCOPES.has(name)) {
+			throw new Error(`Scope "${ name }" has already been registered`)
+		}
+		let names = null
+		if (tables != null) {
+			names = tables.map(table => {
+				if (table instanceof Table) {
+					return table.name
+				}
+				return table
+			})
+		}
+		SCOPES.set(name, { name, condition, tables: names })
+	}
+
+	/**
+	 * Remove a scope registered with {@link QueryBuilder.addScope}
+	 *
+	 * @param {string} name The name of the scope
+	 * @returns {boolean} True if the scope was registered
+	 */
+	static removeScope(name) {
+		return SCOPES.delete(name)
+	}
+
+	/**
+	 * Add custom chainable methods and SQL types to every builder. Names that are already used by a method of the
+	 * builder, or by a static method or type of `QueryBuilder`, are rejected, and nothing is added if any name is
+	 * rejected
+	 *
+	 * Methods are called with the builder followed by their arguments, and must return a builder, which will usually
+	 * be the result of calling other chainable methods (e.g. `builder => builder.where('active', true)`). This keeps
+	 * methods working with immutable builders
+	 *
+	 * Types must be classes extending {@link module:src/database/QueryBuilder~Sql|QueryBuilder.Sql}, registered under
+	 * the name of the class. Each type gets a static constructor of the same name, and can be recreated from JSON by
+	 * {@link QueryBuilder.fromJSON}
+	 *
+	 * @param {Object} extension The extensions to add
+	 * @param {Object.<string, Function>} [extension.methods = {}] Chainable methods, by name
+	 * @param {Object.<string, Function>} [extension.types = {}] `Sql` classes, by name
+	 *
+	 * @returns {Function} Removes the added methods and types again when called
+	 *
+	 * @throws {Error} If a name is already in use
+	 */
+	static extend({ methods = {}, types = {} } = {}) {
+		if (!isPlainObject(methods) || !isPlainObject(types)) {
+			throw new TypeError('Must provide methods and types as objects')
+		}
+		Object.keys(methods).forEach(name => {
+			if (typeof methods[name] !== 'function') {
+				throw new TypeError(`Method "${ name }" must be a function`)
+			}
+			if (name in QueryBuilder.prototype) {
+				throw new Error(`Can not add method "${ name }", as QueryBuilder already has a method with that name`)
+			}
+		})
+		Object.keys(types).forEach(name => {
+			const Type = types[name]
+			if (typeof Type !== 'function' || !(Type.prototype instanceof Sql)) {
+				throw new TypeError(`Type "${ name }" must be a class extending Sql`)
+			}
+			if (Type.name !== name) {
+				throw new TypeError(`Type "${ name }" must be registered under its class name, "${ Type.name }"`)
+			}
+			if (name in QueryBuilder || NODE_TYPES.hasOwnProperty(name) || ['Value', 'List', 'Object'].includes(name)) {
+				throw new Error(`Can not add type "${ name }", as QueryBuilder already has a type or static method with that name`)
+			}
+		})
+
+		Object.keys(methods).forEach(name => {
+			const method = methods[name]
+			Object.defineProperty(QueryBuilder.prototype, name, {
+				configurable: true,
+				writable: true,
+				value(...args) {
+					const builder = method(this, ...args)
+					if (!(builder instanceof QueryBuilder)) {
+						throw new TypeError(`Method "${ name }" must return a QueryBuilder`)
+					}
+					return builder
+				},
+			})
+		})
+		Object.keys(types).forEach(name => {
+			const Type = types[name]
+			Object.defineProperty(QueryBuilder, name, {
+				configurable: true,
+				writable: true,
+				value: (...args) => new Type(...args),
+			})
+			NODE_TYPES[name] = Type
+			QueryBuilder.types[name] = Type
+		})
+
+		return () => {
+			Object.keys(methods).forEach(name => delete QueryBuilder.prototype[name])
+			Object.keys(types).forEach(name => {
+				delete QueryBuilder[name]
+				delete NODE_TYPES[name]
+				delete QueryBuilder.types[name]
+			})
+		}
+	}
+
+	/**
+	 * Create a new builder
+	 *
+	 * @param {Object} [options = {}] Builder options
+	 * @param {boolean} [options.immutable = false] When true, every chained method will return a modified copy of the
+	 * builder instead of changing it, allowing a base query to be shared and extended in different ways
+	 * @param {boolean} [options.hardened = false] When true, conditions may only use known Postgres operators, and
+	 * limits and offsets must be non-negative integers or `Sql` objects (e.g. a bound `Literal`). Anything else will
+	 * throw a `TypeError`
+	 *
+	 * The defaults for these options can be changed for every builder, including those created for nested queries,
+	 * through `QueryBuilder.defaults`
+	 */
+	constructor({ immutable = QueryBuilder.defaults.immutable, hardened = QueryBuilder.defaults.hardened } = {}) {
+		this._where = []
+		this._join = []
+		this._groupBy = []
+		this._having = []
+		this._window = []
+		this._order = []
+		this._with = []
+		this._distinct = null
+		this._select = []
+		this._returning = []
+		this._limit = null
+		this._offset = null
+
+		this._from = null
+		this._schema = null
+		this._conflict = null
+		this._unscoped = []
+
+		this._replacements = {}
+
+		this._immutable = immutable
+		this._hardened = hardened
+		this._nested = false
+		this._statement = null
+		this._scope = null
+		this._format = null
+	}
+
+	/**
+	 * Create a copy of this builder that can be modified without affecting the original. The copy will use the same
+	 * mode (mutable or immutable) as this builder
+	 *
+	 * @returns {QueryBuilder} A new builder for the same query
+	 */
+	clone() {
+		const builder = new QueryBuilder(this._options())
+
+		builder._with = this._with.slice()
+		builder._where = this._where.slice()
+		builder._join = this._join.slice()
+		builder._groupBy = this._groupBy.slice()
+		builder._having = this._having.slice()
+		builder._window = this._window.slice()
+		builder._order = this._order.slice()
+		builder._distinct = this._distinct == null ? null : this._distinct.slice()
+		builder._select = this._select.slice()
+		builder._returning = this._returning.slice()
+		builder._limit = this._limit
+		builder._offset = this._offset
+
+		builder._from = this._from
+		builder._schema = this._schema
+		builder._conflict = this._conflict
+		builder._unscoped = this._unscoped === true ? true : this._unscoped.slice()
+
+		builder._replacements = Object.assign({}, this._replacements)
+
+		builder._nested = this._nested
+		return builder
+	}
+
+	/**
+	 * Get the options this builder was created with
+	 *
+	 * @returns {{immutable: boolean, hardened: boolean}} The options
+	 * @private
+	 */
+	_options() {
+		return { immutable: this._immutable, hardened: this._hardened }
+	}
+
+	/**
+	 * Get the builder that a chained method should modify. For immutable builders this is a fresh copy, otherwise it
+	 * is this builder, with any previously generated statement discarded
+	 *
+	 * @returns {QueryBuilder} The builder to modify and return from the chained method
+	 * @private
+	 */
+	_mutable() {
+		if (this._immutable) {
+			return this.clone()
+		}
+		this._scope = null
+		return this
+	}
+
+	/**
+	 * Set the table for the query. Providing a `Table` schema binds the builder to it, so that every column referenced by
+	 * the query is checked against the schema when a statement is generated
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql|module:src/database/QueryBuilder~Table} name The table
+	 * @returns {QueryBuilder} This builder
+	 */
+	table(name) {
+		const builder = this._mutable()
+		if (name instanceof Table) {
+			builder._from = name.name
+			builder._schema = name
+		} else {
+			builder._from = name
+			builder._schema = null
+		}
+		return builder
+	}
+
+	_processSelectedField(field, replacements = this._replacements) {
+		if (field == null) {
+			return null
+		}
+		if (typeof field === 'string') {
+			return new Column(field)
+		}
+		if (field.hasOwnProperty('fnCall')) {
+			Object.assign(replacements, field.replacements || {})
+			return field.fnCall
+		}
+		if (field instanceof Sql) {
+			return field
+		}
+		return String(field)
+	}
+
+	_generateDistinct() {
+		if (this._distinct == null) {
+			return ''
+		}
+		if (this._distinct.length < 1) {
+			return 'DISTINCT'
+		}
+
+		// Expressions are compared outside of the statement, so that comparing them does not name their placeholders
+		const [distinct, ordered] = outsideStatement(() => [
+			this._distinct.map(column => column.toSql()),
+			this._order.map(term => {
+				if (term instanceof Order) {
+					return term._column.toSql()
+				}
+				return term.toSql()
+			}),
+		])
+		// Postgres requires the leftmost ORDER BY expressions to be DISTINCT ON expressions, in any order, until every
+		// DISTINCT ON expression has been ordered by. The ordering can stop before that, but nothing else can come first
+		const other = ordered.findIndex(expression => !distinct.includes(expression))
+		if (other >= 0 && distinct.some(expression => !ordered.slice(0, other).includes(expression))) {
+			throw new Error('DISTINCT ON expressions must match the leftmost ORDER BY expressions')
+		}
+
+		return `DISTINCT ON (${ concatPossibleSqlList(this._distinct) })`
+	}
+	_generateWith() {
+		if (this._with.length < 1) {
+			return ''
+		}
+
+		const keyword = this._with.some(cte => cte.isRecursive()) ? 'WITH RECURSIVE' : 'WITH'
+		return `${ keyword } ${ concatPossibleSqlList(this._with) }`
+	}
+	_generateWhere(conditions = this._conditions()) {
+		if (conditions.length < 1) {
+			return ''
+		}
+
+		return `WHERE ${ new And(...conditions).toSql() }`
+	}
+	_generateJoin() {
+		return concatPossibleSqlList(this._joins(), ' ')
+	}
+	_generateTable() {
+		if (this._from instanceof Sql) {
+			return this._from.toSql()
+		}
+		return quoteIdentifier(this._from)
+	}
+	_generateFrom() {
+		if (this._from == null) {
+			return ''
+		}
+		return `FROM ${ this._generateTable() }`
+	}
+	_generateLimit() {
+		if (this._limit == null) {
+			return ''
+		}
+		return `LIMIT ${ concatPossibleSqlList([this._limit]) }`
+	}
+	_generateOffset() {
+		if (this._offset == null) {
+			return ''
+		}
+		return `OFFSET ${ concatPossibleSqlList([this._offset]) }`
+	}
+	_generateReturning() {
+		if (this._returning.length < 1) {
+			return ''
+		}
+
+		return `RETURNING ${ concatPossibleSqlList(this._returning) }`
+	}
+	_generateAssignments(values, replacements, bindings = {}) {
+		return Object.keys(values).map(name => {
+			const value = this._bindValue(name, values[name], bindings)
+			Object.assign(replacements, value.getReplacements())
+			return `${ new Column(name).toSql() } = ${ value.toSql() }`
+		}).join(', ')
+	}
+	_conflictColumns(names) {
+		const columns = names.map(name => new Column(name))
+		if (this._conflict == null) {
+			return columns
+		}
+		const { target, where } = this._conflict
+		const targets = [].concat(target).map(column => {
+			if (column instanceof Sql) {
+				return column
+			}
+			return new Column(column)
+		})
+		return columns.concat(targets, [where])
+	}
+	_generateConflict(replacements, bindings = {}) {
+		if (this._conflict == null) {
+			return ''
+		}
+
+		const { target, update, where } = this._conflict
+		const buffer = ['ON CONFLICT']
+		if (target instanceof Sql) {
+			buffer.push(target.toSql())
+		} else if (target.length > 0) {
+			const columns = target.map(column => {
+				if (column instanceof Sql) {
+					return column
+				}
+				return new Column(column)
+			})
+			buffer.push(`(${ concatPossibleSqlList(columns) })`)
+		}
+
+		if (update == null) {
+			buffer.push('DO NOTHING')
+			return buffer.join(' ')
+		}
+
+		const values = Array.isArray(update)
+			? update.reduce((acc, name) => Object.assign(acc, { [name]: new Excluded(name) }), {})
+			: update
+
+		this._assertScopedValues(values, 'update')
+		buffer.push('DO UPDATE SET')
+		buffer.push(this._generateAssignments(values, replacements, bindings))
+		const conditions = [where].concat(this._scope == null ? [] : this._scope.where).filter(Boolean)
+		if (conditions.length > 0) {
+			const condition = new And(...conditions)
+			Object.assign(replacements, condition.getReplacements())
+			buffer.push(`WHERE ${ condition.toSql() }`)
+		}
+
+		return buffer.join(' ')
+	}
+	_generateGroupBy() {
+		if (this._groupBy.length < 1) {
+			return ''
+		}
+
+		return `GROUP BY ${ concatPossibleSqlList(this._groupBy) }`
+	}
+	_generateHaving() {
+		if (this._having.length < 1) {
+			return ''
+		}
+
+		return `HAVING ${ new And(...this._having).toSql() }`
+	}
+	_generateWindow() {
+		if (this._window.length < 1) {
+			return ''
+		}
+
+		const windows = this._window.map(({ name, window }) => `${ name.toSql() } AS (${ window.toSql() })`)
+		return `WINDOW ${ windows.join(', ') }`
+	}
+	_generateOrder() {
+		if (this._order.length < 1) {
+			return ''
+		}
+
+		return `ORDER BY ${ concatPossibleSqlList(this._order) }`
+	}
+
+	/**
+	 * Add a common table expression to the `WITH` clause of the query, which can then be referenced by name as if it
+	 * were a table. If any expression is recursive, the clause will be written as `WITH RECURSIVE`
+	 *
+	 * @param {string} name The name of the expression
+	 *
+	 * @param {Function|QueryBuilder|module:src/database/QueryBuilder~Sql} query The query for the expression. Either a
+	 * builder function returning a select string, a builder whose `select` output will be used, or an `Sql` object such
+	 * as a `Union` of an anchor query and a recursive query
+	 *
+	 * @param {Object} [options = {}] Options for the expression
+	 * @param {boolean} [options.recursive = false] Whether the expression references itself
+	 * @param {boolean} [options.materialized = null] Use `true` or `false` to write `MATERIALIZED` or
+	 * `NOT MATERIALIZED`, or leave unset to let Postgres decide
+	 * @param {Array.<string>} [options.columns = []] Names for the columns of the expression
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	with(name, query, options = {}) {
+		const builder = this._mutable()
+		const cte = withNestedOptions(builder._options(), () => new With(name, query, options))
+		if (builder._hardened) {
+			assertSafeCondition(cte)
+		}
+		builder._with = builder._with.concat([cte])
+		return builder
+	}
+
+	/**
+	 * Only select distinct rows, written as `SELECT DISTINCT`
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	distinct() {
+		const builder = this._mutable()
+		builder._distinct = []
+		return builder
+	}
+
+	/**
+	 * Only select the first row for each distinct set of values of the given expressions, written as
+	 * `SELECT DISTINCT ON (...)`. If the query is ordered, the leftmost `ORDER BY` expressions must match these
+	 * expressions, or generating the statement will throw an error
+	 *
+	 * @param {...(string|module:src/database/QueryBuilder~Sql)} columns The expressions to compare. Strings will be
+	 * processed as a {@link module:src/database/QueryBuilder~Column|Column}
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	distinctOn(...columns) {
+		if (columns.length < 1) {
+			throw new TypeError('Must provide at least one expression for DISTINCT ON')
+		}
+		const builder = this._mutable()
+		builder._distinct = columns.map(column => {
+			if (column instanceof Sql) {
+				return column
+			}
+			return new Column(column)
+		})
+		return builder
+	}
+
+	property(...fields) {
+		const builder = this._mutable()
+		builder._select = builder._select.concat(fields.map(f => builder._processSelectedField(f)))
+		return builder
+	}
+
+	/**
+	 * Add fields to the `RETURNING` clause of a `DELETE`, `INSERT` or `UPDATE` statement, so that the affected rows
+	 * are sent back by the database. Fields are processed in the same way as those passed to `property`. Generating a
+	 * `SELECT` statement, including with `count`, for a query with returned fields throws an error
+	 *
+	 * @param {...(string|module:src/database/QueryBuilder~Sql)} fields The fields to return
+	 * @returns {QueryBuilder} This builder
+	 */
+	returning(...fields) {
+		const builder = this._mutable()
+		builder._returning = builder._returning.concat(fields.map(f => builder._processSelectedField(f)))
+		return builder
+	}
+
+	/**
+	 * Ensure that a statement without a `RETURNING` clause is not generated for a query that has returned fields, as
+	 * they would otherwise be silently left out
+	 *
+	 * @param {string} statement The type of statement being generated, used in the error message
+	 *
+	 * @throws {Error} If the query has returned fields
+	 * @private
+	 */
+	_assertNotReturning(statement) {
+		if (this._returning.length > 0) {
+			throw new Error(`Can not create ${ statement } statement for a query with a RETURNING clause, which only applies to writes`)
+		}
+	}
+
+	_createCondition(left, right, operator) {
+		let condition = null
+		if (left instanceof Where || left instanceof Joinder) {
+			condition = left
+		} else if (isPlainObject(left)) {
+			condition = Where.from(left, (column, value, comparison) => this._createCondition(column, value, comparison))
+		} else if (this._schema != null && typeof left === 'string') {
+			condition = new Where(left, this._schema.cast(left, right), operator)
+		} else {
+			condition = new Where(left, right, operator)
+		}
+
+		if (this._hardened) {
+			assertSafeCondition(condition)
+		}
+		return condition
+	}
+	_bindValue(name, value, bindings = {}) {
+		let bound = null
+		if (this._schema != null) {
+			bound = this._schema.bind(name, value)
+		} else {
+			bound = value instanceof Sql ? value : new Literal(value)
+		}
+		if (this._hardened) {
+			assertSafeCondition(bound)
+		}
+		Object.keys(bound.getReplacements()).forEach(ident => {
+			bindings[ident] = name
+		})
+		return bound
+	}
+
+	/**
+	 * Check every column referenced by the query against the table schema the builder is bound to, if any
+	 *
+	 * @param {Array.<module:src/database/QueryBuilder~Sql>} [extra = []] Columns or other `Sql` objects used by the
+	 * statement that are not part of the builder itself, such as the fields passed to `select`
+	 * @throws {Error} If a column does not exist in the schema
+	 * @private
+	 */
+	_assertColumns(extra = []) {
+		if (this._schema == null) {
+			return
+		}
+		const fields = this._select.concat(extra)
+		const aliases = fields.filter(field => field instanceof Select && field._as != null).map(field => field._as)
+		const strict = this._join.length < 1
+		const nodes = [
+			fields,
+			this._returning,
+			this._distinct || [],
+			this._join,
+			this._where,
+			this._having,
+			this._window.map(({ window }) => window),
+			this._order,
+		]
+
+		collectColumns(nodes).forEach(column => {
+			if (column._parts.length === 1 && aliases.includes(column._parts[0])) {
+				return
+			}
+			this._schema.resolve(column._parts, { strict })
+		})
+	}
+	_assertSafeCount(number, name, hardened = this._hardened) {
+		if (!hardened || number == null || number instanceof Sql) {
+			return
+		}
+		if (!Number.isInteger(number) || number < 0) {
+			throw new TypeError(`${ name } must be a non-negative integer, received "${ number }"`)
+		}
+	}
+
+	/**
+	 * Check every part of this query as a hardened builder would. Hardened builders check each part as it is added;
+	 * this is used to check the queries nested inside a hardened query, which may have been created by builders that
+	 * were not hardened, and to check the full query again before a hardened builder generates a statement
+	 *
+	 * @throws {TypeError} If any part of the query is unsafe
+	 * @private
+	 */
+	_assertSafe() {
+		assertSafeCondition([
+			this._from,
+			this._with,
+			this._distinct,
+			this._select,
+			this._returning,
+			this._join,
+			this._where,
+			this._groupBy,
+			this._having,
+			this._window.map(({ window }) => window),
+			this._order,
+		])
+		this._groupBy.forEach(assertSafeGroupBy)
+		if (this._conflict != null) {
+			const { target, update, where } = this._conflict
+			assertSafeCondition([target, where, update == null || Array.isArray(update) ? null : Object.values(update)])
+		}
+		if (this._statement != null && this._statement.terminal != null) {
+			assertSafeCondition(this._statement.terminal.args)
+		}
+		this._assertSafeCount(this._limit, 'Limit', true)
+		this._assertSafeCount(this._offset, 'Offset', true)
+	}
+
+	/**
+	 * Add a condition to the `WHERE` clause of the query. Multiple conditions are grouped with `AND`
+	 *
+	 * @param {string|Object|module:src/database/QueryBuilder~Sql} left The left hand clause of the condition, a
+	 * complete condition such as a `Where`, `And` or `Or`, or a filter object that will be converted with
+	 * {@link module:src/database/QueryBuilder~Where.from|Where.from}. An empty filter object adds no condition
+	 * @param {*|module:src/database/QueryBuilder~Sql} [right = null] The right hand value of the condition
+	 * @param {string} [operator = =] The operator to use for the condition
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	where(left, right = null, operator = '=') {
+		if (isPlainObject(left) && Object.keys(left).length < 1) {
+			return this._immutable ? this.clone() : this
+		}
+		const builder = this._mutable()
+		builder._where.push(builder._createCondition(left, right, operator))
+		return builder
+	}
+
+	/**
+	 * Declare a named window in the `WINDOW` clause of the query, which can be used by any number of `Over` window
+	 * function calls, or as the base of another window
+	 *
+	 * @param {string} name The name of the window
+	 * @param {Object|module:src/database/QueryBuilder~Window} spec The window definition, or an object that will be
+	 * used to create one
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	window(name, spec) {
+		const window = {
+			name: new Column(name),
+			window: spec instanceof Window ? spec : new Window(spec),
+		}
+
+		const builder = this._mutable()
+		builder._window = builder._window.concat([window])
+		return builder
+	}
+
+	/**
+	 * Add a condition to the `HAVING` clause of the query, filtering the groups created by `groupBy`. Conditions are
+	 * created in the same way as those passed to `where`, and will typically involve an aggregate `Fn`
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} left The left hand clause of the condition, or a complete
+	 * `Where`, `And` or `Or` condition
+	 * @param {*|module:src/database/QueryBuilder~Sql} [right = null] The right hand value of the condition
+	 * @param {string} [operator = =] The operator to use for the condition
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	having(left, right = null, operator = '=') {
+		const builder = this._mutable()
+		builder._having.push(builder._createCondition(left, right, operator))
+		return builder
+	}
+
+	limit(number) {
+		this._assertSafeCount(number, 'Limit')
+		const builder = this._mutable()
+		builder._limit = number
+		return builder
+	}
+
+	offset(number) {
+		this._assertSafeCount(number, 'Offset')
+		const builder = this._mutable()
+		builder._offset = number
+		return builder
+	}
+
+	join(...args) {
+		let join = null
+		if (args.length === 1) {
+			[join] = args
+			if (!(join instanceof Join)) {
+				throw new TypeError('Cannot use non-join object to directly create JOIN')
+			}
+		} else {
+			join = new Join(...args)
+		}
+		if (this._hardened) {
+			assertSafeCondition(join)
+		}
+
+		const builder = this._mutable()
+		builder._join.push(join)
+		return builder
+	}
+
+	delete() {
+		return this._generate(() => {
+			if (this._where.length < 1) {
+				// While *technically* you can have a delete without a filter, that doesn't sound
+				// like a very good idea, now does it?
+				throw new Error('Can not create delete statement without at least one condition')
+			}
+			this._assertColumns()
+			this._resolveScopes('delete')
+			const buffer = [
+				this._generateWith(),
+				'DELETE',
+				this._generateFrom(),
+				this._generateWhere(),
+				this._generateReturning(),
+			]
+
+			return this._finalise(buffer.filter(Boolean).join(' '), {}, {}, { statement: 'delete', args: [] })
+		})
+	}
+
+	/**
+	 * Specify how an `INSERT` statement should handle rows that conflict with an existing unique constraint. Without
+	 * an `update` option, conflicting rows will be skipped with `DO NOTHING`
+	 *
+	 * @param {string|Array.<string|module:src/database/QueryBuilder~Sql>|module:src/database/QueryBuilder~Constraint}
+	 * [target = []] The conflict target. Either a column name, a list of columns or a named `Constraint`. A target is
+	 * required when using `DO UPDATE`
+	 *
+	 * @param {Object} [options = {}] The conflict action
+	 * @param {Object|Array.<string>} [options.update = null] The values to set with `DO UPDATE`, in the same format as
+	 * {@link module:src/database/QueryBuilder~QueryBuilder#update|update}. A list of column names is a shortcut for
+	 * setting each of those columns to their `EXCLUDED` value
+	 * @param {module:src/database/QueryBuilder~Sql} [options.where = null] A condition limiting which conflicting rows
+	 * will be updated
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	onConflict(target = [], { update = null, where = null } = {}) {
+		const normalised = typeof target === 'string' ? [target] : target
+		if (update != null && !(normalised instanceof Constraint) && normalised.length < 1) {
+			throw new Error('Can not create ON CONFLICT DO UPDATE clause without a conflict target')
+		}
+		if (where != null && !(where instanceof Sql)) {
+			throw new TypeError('Must provide a valid WHERE clause for conflict update condition')
+		}
+		if (this._hardened) {
+			assertSafeCondition([normalised, where, update == null || Array.isArray(update) ? null : Object.values(update)])
+		}
+
+		const builder = this._mutable()
+		builder._conflict = { target: normalised, update, where }
+		return builder
+	}
+
+	/**
+	 * Create an `UPDATE` statement for the current table, filtered by any conditions added through `where`. Values are
+	 * bound as replacements, except for `Sql` objects which will be serialized as-is (e.g. `QB.Raw('"count" + 1')`). Any
+	 * joins will be written as an `UPDATE ... FROM`; the first join must be an inner or cross join, as its condition is
+	 * moved into the `WHERE` clause
+	 *
+	 * @param {Object} values An object mapping column names to the values they should be set to
+	 *
+	 * @param {Object} [options = {}] Options for the update statement
+	 * @param {boolean} [options.unfiltered = false] Allow creating an update statement without any conditions, which
+	 * will update every row in the table
+	 *
+	 * @returns {string} The generated `UPDATE` statement
+	 *
+	 * @throws {Error} If the query has an `ON CONFLICT` clause, or a column of a registered scope is set to a value
+	 * outside of the scope
+	 */
+	update(values, { unfiltered = false } = {}) {
+		return this._generate(() => {
+			if (this._from == null) {
+				throw new Error('Can not create update statement without a table')
+			}
+			if (this._conflict != null) {
+				throw new Error('Can not create update statement for a query with an ON CONFLICT clause, which only applies to inserts')
+			}
+			if (this._where.length < 1 && !unfiltered) {
+				// Much like a delete, forgetting to filter an update is rarely what anyone intended
+				throw new Error('Can not create update statement without at least one condition')
+			}
+			if (values == null || typeof values !== 'object' || Object.keys(values).length < 1) {
+				throw new TypeError('Must provide at least one value to create update statement')
+			}
+			this._assertColumns()
+			this._resolveScopes('update')
+			this._assertScopedValues(values, 'update')
+
+			const replacements = {}
+			const bindings = {}
+			const buffer = [
+				this._generateWith(),
+				'UPDATE',
+				this._generateTable(),
+				'SET',
+				this._generateAssignments(values, replacements, bindings),
+			]
+
+			let conditions = this._conditions()
+			const joins = this._joins()
+			if (joins.length > 0) {
+				const [first, ...rest] = joins
+				if (!first.isFromItem()) {
+					throw new TypeError('The first join of an update statement must be an inner or cross join')
+				}
+				buffer.push(`FROM ${ [first.toFromItem(), ...rest.map(join => join.toSql())].join(' ') }`)
+				if (first._condition != null) {
+					conditions = [first._condition, ...conditions]
+				}
+			}
+
+			buffer.push(this._generateWhere(conditions))
+			buffer.push(this._generateReturning())
+
+			const options = { unfiltered }
+			return this._finalise(buffer.filter(Boolean).join(' '), replacements, bindings, {
+				statement: 'update',
+				args: [values, options],
+			})
+		})
+	}
+
+	/**
+	 * Create an `INSERT` statement for the current table. Values are bound as replacements, except for `Sql` objects
+	 * which will be serialized as-is (e.g. `QB.Fn('now')`). Columns missing from a row, or given an `undefined` value,
+	 * will be filled with `DEFAULT`. Queries with clauses that an `INSERT` can not use, such as `WHERE` or `ORDER BY`,
+	 * are rejected
+	 *
+	 * @param {Object|Array.<Object>|Function|QueryBuilder} rows Either a single row object, an array of row objects, or
+	 * a builder function returning a select string, in the same manner as a `SubSelect`, or a `QueryBuilder` that will
+	 * have its `select` output used, to create an `INSERT ... SELECT` query
+	 *
+	 * @param {Array.<string>} [columns = null] The columns to insert into. When inserting row objects this defaults to
+	 * every key found in the provided rows; when inserting from a select, the columns will be omitted if not provided
+	 *
+	 * @returns {string} The generated `INSERT` statement
+	 * @throws {Error} If the query has no table, or uses a clause that an `INSERT` can not use
+	 */
+	insert(rows, columns = null) {
+		return this._generate(() => {
+			if (this._from == null) {
+				throw new Error('Can not create insert statement without a table')
+			}
+			// These clauses have no meaning for an INSERT, so they are rejected rather than silently left out
+			const ignored = [
+				['WHERE', this._where.length > 0],
+				['JOIN', this._join.length > 0],
+				['GROUP BY', this._groupBy.length > 0],
+				['HAVING', this._having.length > 0],
+				['ORDER BY', this._order.length > 0],
+				['LIMIT', this._limit != null],
+				['OFFSET', this._offset != null],
+			].find(([, used]) => used)
+			if (ignored != null) {
+				throw new Error(`Can not create insert statement for a query using ${ ignored[0] }`)
+			}
+			this._resolveScopes('insert')
+
+			const replacements = {}
+			const bindings = {}
+			const buffer = [this._generateWith(), 'INSERT INTO', this._generateTable()]
+
+			let subBuilder = null
+			let sql = null
+			if (typeof rows === 'function') {
+				subBuilder = withNestedOptions(this._options(), nestedBuilder)
+				sql = rows(subBuilder)
+			} else if (rows instanceof QueryBuilder) {
+				subBuilder = rows.clone()
+				subBuilder._nested = true
+				sql = subBuilder.select()
+			}
+
+			if (subBuilder != null) {
+				if (sql == null || typeof sql !== 'string') {
+					throw new TypeError('Nested select function must return select string')
+				}
+				// The selected rows can not be checked, so they could be written outside of the scopes of the table
+				const scoped = Object.keys(this._scope.values)
+				if (scoped.length > 0) {
+					throw new Error(`Can not insert the rows of a query into a table scoped by "${ scoped.join('", "') }"`)
+				}
+				Object.assign(replacements, subBuilder._nestedReplacements())
+				this._assertColumns(this._conflictColumns(columns || []))
+
+				if (columns != null) {
+					buffer.push(`(${ concatPossibleSqlList(columns.map(c => new Column(c))) })`)
+				}
+				buffer.push(sql)
+				buffer.push(this._generateConflict(replacements, bindings))
+				buffer.push(this._generateReturning())
+				return this._finalise(buffer.filter(Boolean).join(' '), replacements, bindings, {
+					statement: 'insert',
+					args: [rows, columns],
+				})
+			}
+
+			const provided = Array.isArray(rows) ? rows : [rows]
+			if (provided.length < 1 || provided.some(row => !isPlainObject(row))) {
+				throw new TypeError('Must provide at least one row object to create insert statement')
+			}
+
+			const scoped = this._scope.values
+			const list = provided.map(row => {
+				// Undefined values are left out, so that they are written as DEFAULT in the same way as missing columns
+				const defined = Object.keys(row)
+					.filter(key => typeof row[key] !== 'undefined')
+					.reduce((acc, key) => Object.assign(acc, { [key]: row[key] }), {})
+				this._assertScopedValues(defined, 'insert')
+				return Object.assign(defined, scoped)
+			})
+
+			const listed = columns == null ? null : columns.concat(Object.keys(scoped).filter(key => !columns.includes(key)))
+			const names = listed || list.reduce((keys, row) => {
+				Object.keys(row).forEach(key => {
+					if (!keys.includes(key)) {
+						keys.push(key)
+					}
+				})
+				return keys
+			}, [])
+
+			if (names.length < 1) {
+				throw new Error('Can not create insert statement without at least one column')
+			}
+			this._assertColumns(this._conflictColumns(names))
+
+			const values = list.map(row => {
+				const tuple = names.map(name => {
+					const value = row[name]
+					if (!row.hasOwnProperty(name)) {
+						return 'DEFAULT'
+					}
+					return this._bindValue(name, value, bindings)
+				})
+				Object.assign(replacements, sqlListToReplacements(tuple))
+				return `(${ concatPossibleSqlList(tuple) })`
+			})
+
+			buffer.push(`(${ concatPossibleSqlList(names.map(c => new Column(c))) })`)
+			buffer.push('VALUES')
+			buffer.push(values.join(', '))
+			buffer.push(this._generateConflict(replacements, bindings))
+			buffer.push(this._generateReturning())
+
+			return this._finalise(buffer.filter(Boolean).join(' '), replacements, bindings, { statement: 'insert', args: [rows, columns] })
+		})
+	}
+
+	select(...fields) {
+		return this._generate(() => {
+			this._assertNotReturning('select')
+			const replacements = {}
+			const selected = fields.map(f => this._processSelectedField(f, replacements))
+			Object.assign(replacements, sqlListToReplacements(selected))
+			if (this._hardened) {
+				assertSafeCondition(selected)
+			}
+			this._assertColumns(selected)
+			this._resolveScopes('select')
+
+			// Clauses are generated in the order they appear, which is the order their placeholders are named in
+			const buffer = [
+				this._generateWith(),
+				'SELECT',
+				this._generateDistinct(),
+				concatPossibleSqlList(this._select.concat(selected)),
+				this._generateFrom(),
+				this._generateJoin(),
+				this._generateWhere(),
+				this._generateGroupBy(),
+				this._generateHaving(),
+				this._generateWindow(),
+				this._generateOrder(),
+				this._generateLimit(),
+				this._generateOffset(),
+			].filter(Boolean)
+
+			return this._finalise(buffer.join(' ').trim(), replacements, {}, { statement: 'select', args: fields })
+		})
+	}
+
+	/**
+	 * Create a `SELECT` statement that counts the rows matched by this query, for example to find the total number of
+	 * rows for a paginated list. The table, joins, conditions and grouping of the query are used as-is, while any
+	 * selected fields, ordering, limit and offset are ignored. Grouped queries are wrapped in a subselect so that the
+	 * number of groups is counted, rather than the number of rows in each group. Distinct queries are also wrapped in a
+	 * subselect, using the fields added through `property` to decide which rows are distinct
+	 *
+	 * @param {Object} [options = {}] Counting options
+	 * @param {boolean} [options.distinct = false] Count only distinct values of the column
+	 * @param {string|module:src/database/QueryBuilder~Sql} [options.column = *] The column to count. Rows where this
+	 * column is null will not be counted
+	 *
+	 * @returns {string} The generated `SELECT` statement, with the total in a column named `count`
+	 */
+	count({ distinct = false, column = '*' } = {}) {
+		return this._generate(() => {
+			this._assertNotReturning('select')
+			const grouped = this._groupBy.length > 0
+			if (distinct && column === '*') {
+				throw new TypeError('Must provide a column to count distinct values')
+			}
+			if ((grouped || this._distinct != null) && (distinct || column !== '*')) {
+				throw new TypeError('Can not count a specific column of a grouped or distinct query')
+			}
+
+			const target = column instanceof Sql ? column : new Column(column)
+			this._assertColumns([target])
+			this._resolveScopes('count')
+			// Clauses are generated in the order they appear, which is the order their placeholders are named in
+			const buffer = [this._generateWith(), 'SELECT', `count(${ distinct ? 'DISTINCT ' : '' }${ target.toSql() })`]
+			const filtered = () => [
+				this._generateFrom(),
+				this._generateJoin(),
+				this._generateWhere(),
+				this._generateGroupBy(),
+				this._generateHaving(),
+			].filter(Boolean).join(' ')
+
+			if (this._distinct != null) {
+				const expressions = this._generateDistinct()
+				const fields = this._select.length > 0 ? concatPossibleSqlList(this._select) : '*'
+				buffer.push(`FROM (SELECT ${ expressions } ${ fields } ${ filtered() }) AS "counted"`)
+			} else if (grouped) {
+				buffer.push(`FROM (SELECT 1 ${ filtered() }) AS "counted"`)
+			} else {
+				buffer.push(filtered())
+			}
+
+			return this._finalise(buffer.filter(Boolean).join(' '), target.getReplacements(), {}, {
+				statement: 'count',
+				args: [ { distinct, column } ],
+			})
+		})
+	}
+
+	/**
+	 * Add a term to the `ORDER BY` clause of the query. This can either be called with a single column and its sorting
+	 * options, or with any number of `Sql` objects (such as `Order` terms) that will be added as-is
+	 *
+	 * Raw clauses such as `order('created_at DESC')` or `order('a', 'b')` are no longer accepted, and throw an error
+	 * describing how to rewrite them rather than being quoted as a column name
+	 *
+	 * @param {string|module:src/database/QueryBuilder~Sql} column The value to sort by. Strings will be processed as
+	 * a {@link module:src/database/QueryBuilder~Column|Column}
+	 * @param {string} [direction = null] Either `ASC` or `DESC`
+	 * @param {Object} [options = {}] Additional sorting options
+	 * @param {string} [options.nulls = null] Either `FIRST` or `LAST`
+	 *
+	 * @returns {QueryBuilder} This builder
+	 * @throws {TypeError} If the column is a raw clause, or the direction or null ordering is invalid
+	 */
+	order(...args) {
+		const builder = this._mutable()
+		if (args.every(arg => arg instanceof Sql)) {
+			builder._order = builder._order.concat(args)
+			return builder
+		}
+
+		const [column, direction = null] = args
+		if (typeof column === 'string' && /[,()]|\s(ASC|DESC|NULLS)\b/i.test(column)) {
+			throw new TypeError(`Can not order by the clause "${ column }"; call order(column, direction) once for each column`)
+		}
+		if (typeof direction === 'string' && !['ASC', 'DESC'].includes(direction.toUpperCase())) {
+			throw new TypeError(`Invalid sort direction "${ direction }"; call order(column, direction) once for each column`)
+		}
+		builder._order = builder._order.concat([new Order(...args)])
+		return builder
+	}
+
+	groupBy(...clauses) {
+		if (this._hardened) {
+			clauses.forEach(assertSafeGroupBy)
+			assertSafeCondition(clauses)
+		}
+		const builder = this._mutable()
+		builder._groupBy = builder._groupBy.concat(clauses)
+		return builder
+	}
+
+	/**
+	 * Generate a statement along with its bound values, in the placeholder style required by the database driver. The
+	 * `named` style produces the same output as calling the terminal method and `getReplacements` separately, which is
+	 * suitable for `Sequelize.query`. The `positional` style produces `$n` placeholders and an array of values, which is
+	 * suitable for node-postgres
+	 *
+	 * @param {string} statement The terminal method to generate the statement with. One of `select`, `delete`,
+	 * `insert`, `update` or `count`
+	 *
+	 * @param {Object} [options = {}] Compilation options
+	 * @param {string} [options.style = named] The placeholder style, either `named` or `positional`
+	 *
+	 * @param {...*} args Any arguments to pass through to the terminal method
+	 *
+	 * @returns {{text: string, values: (Array.<*>|{})}} The statement text and either the replacements object for the
+	 * `named` style, or an ordered array of values for the `positional` style
+	 */
+	compile(statement, { style = 'named' } = {}, ...args) {
+		if (!['select', 'delete', 'insert', 'update', 'count'].includes(statement)) {
+			throw new TypeError(`Can not compile unknown statement type "${ statement }"`)
+		}
+		if (!['named', 'positional'].includes(style)) {
+			throw new TypeError(`Unknown placeholder style "${ style }"`)
+		}
+
+		const format = style === 'positional' ? position => `$${ position }` : null
+		const text = this._withFormat(format, () => this[statement](...args))
+		const replacements = this.getReplacements()
+
+		if (style === 'positional') {
+			return { text, values: Object.keys(replacements).map(name => replacements[name]) }
+		}
+		return { text, values: replacements }
+	}
+
+	/**
+	 * Generate a statement with its replacements inlined as Postgres literals, for logging and debugging. The output is
+	 * meant to be read by people; always run queries with their values bound as replacements instead
+	 *
+	 * Values compared with or written to a sensitive column are replaced with `'[REDACTED]'`. Sensitive columns are
+	 * matched by their unqualified name, case-insensitively for strings
+	 *
+	 * @param {string} [statement = select] The terminal method to generate the statement with, as for `compile`
+	 *
+	 * @param {Object} [options = {}] Debugging options
+	 * @param {boolean} [options.pretty = false] Format the statement with each clause on its own line, using
+	 * {@link QueryBuilder.formatSql}
+	 * @param {Array.<(string|RegExp)>} [options.sensitive] The names of sensitive columns. Defaults to
+	 * `QueryBuilder.defaults.sensitive`
+	 *
+	 * @param {...*} args Any arguments to pass through to the terminal method
+	 *
+	 * @returns {string} The statement with inlined values
+	 */
+	toDebugString(statement = 'select', { pretty = false, sensitive = QueryBuilder.defaults.sensitive } = {}, ...args) {
+		const { values } = this.compile(statement, {}, ...args)
+		const { columns } = this._statement
+		const isSensitive = position => {
+			const column = columns[`p${ position }`]
+			return column != null && sensitive.some(name => {
+				if (name instanceof RegExp) {
+					return name.test(column)
+				}
+				return name.toLowerCase() === column.toLowerCase()
+			})
 		}
 
-		buffer.push('END AS')
-		buffer.push(this._name.toSql())
-
-		return buffer.join(' ')
+		// The statement is generated again with each placeholder replaced by its value, which is named the same way
+		const inlined = this._withFormat(position => {
+			if (isSensitive(position)) {
+				return '\'[REDACTED]\''
+			}
+			return postgresLiteral(values[`p${ position }`])
+		}, () => this[statement](...args))
+		return pretty ? formatSql(inlined) : inlined
 	}
-}
-// ---
 
-/**
- * @borrows Where as QueryBuilder.Where
- */
-class QueryBuilder {
 	/**
-	 * Create a new Where object, specifying a conditional clause for filtering the rows found by the query
+	 * Compile a statement in the placeholder style of an adapter and run it
 	 *
-	 * @returns {Where} A Where clause object
+	 * @param {Adapter} adapter The adapter to run the statement with
+	 * @param {string} [statement = select] The terminal method to generate the statement with, as for `compile`
+	 * @param {...*} args Any arguments to pass through to the terminal method
+	 *
+	 * @returns {Promise.<Array.<Object>>} The rows returned by the statement
 	 */
-	static Where(...args) { return new Where(...args) }
-	static Column(...args) { return new Column(...args) }
-	static Literal(value) { return new Literal(value) }
-	static Raw(...args) { return new Raw(...args) }
-	static Select(...args) { return new Select(...args) }
-	static SubSelect(builderFn, name) { return new SubSelect(builderFn, name) }
+	async run(adapter, statement = 'select', ...args) {
+		if (adapter == null || typeof adapter.query !== 'function') {
+			throw new TypeError('Must provide an adapter with a query function to run a statement')
+		}
+		const { text, values } = this.compile(statement, { style: adapter.style }, ...args)
+		const rows = await adapter.query(text, values)
+		return rows
+	}
 
-	static Fn(...args) { return new Fn(...args) }
-	static Null() { return new Null() }
-	static Cast(...args) { return new Cast(...args) }
-	static And(...args) { return new And(...args) }
-	static Or(...args) { return new Or(...args) }
+	/**
+	 * Run a `SELECT` statement for the first row matched by the query, limiting the query to a single row
+	 *
+	 * @param {Adapter} adapter The adapter to run the statement with
+	 * @param {...(string|module:src/database/QueryBuilder~Sql)} fields Any additional fields to select
+	 *
+	 * @returns {Promise.<?Object>} The first row, or null if no rows matched
+	 */
+	async first(adapter, ...fields) {
+		const rows = await this.clone().limit(1).run(adapter, 'select', ...fields)
+		return rows.length > 0 ? rows[0] : null
+	}
 
-	static Case(...args) { return new Case(...args) }
-	static When(...args) { return Case.When(...args) }
-	static Else(...args) { return Case.Else(...args) }
+	/**
+	 * Paginate the query using a keyset (or cursor), which remains fast for deep pages unlike `offset`. The ordering is
+	 * added to the query, followed by a filter for the rows that come after the cursor, and a limit of one more than the
+	 * page size. Use {@link QueryBuilder.keysetPage} to split the results and create the cursor for the next page.
+	 *
+	 * The ordering must be unique across all rows (e.g. ending with the primary key), and the ordered columns should not
+	 * contain null values
+	 *
+	 * @param {?(string|Array.<*>)} cursor A cursor token created by {@link QueryBuilder.encodeCursor}, the values of the
+	 * ordered columns for the last row of the previous page, or null to fetch the first page
+	 *
+	 * @param {Object} options Pagination options
+	 * @param {Array.<(string|Array|Object)>} options.orderBy The ordering of the rows. Each entry can be a column name,
+	 * a `[column, direction]` pair or an object of the form `{ column, direction, key }`
+	 * @param {number|string} [options.pageSize = null] The number of rows in each page
+	 *
+	 * @returns {QueryBuilder} This builder
+	 *
+	 * @throws {Error} If the query has already been ordered
+	 * @throws {TypeError} If the page size is not a positive integer
+	 */
+	paginateAfter(cursor, { orderBy, pageSize = null } = {}) {
+		if (this._order.length > 0) {
+			// Ordering by anything before the keyset would break the comparison with the cursor
+			throw new Error('Can not paginate a query that is already ordered, include the ordering in orderBy instead')
+		}
+		const keyset = normaliseKeyset(orderBy)
+		let builder = keyset.reduce((acc, { column, direction }) => acc.order(column, direction), this)
 
-	static Join(...args) { return new Join(...args) }
-	static LateralCrossJoin(...args) { return new LateralCrossJoin(...args) }
-	static LateralLeftJoin(...args) { return new LateralLeftJoin(...args) }
-	static InnerJoin(...args) { return new InnerJoin(...args) }
-	static OuterJoin(...args) { return new OuterJoin(...args) }
-	static LeftOuterJoin(...args) { return new LeftOuterJoin(...args) }
-	static FullOuterJoin(...args) { return new FullOuterJoin(...args) }
+		if (cursor != null) {
+			const values = typeof cursor === 'string' ? QueryBuilder.decodeCursor(cursor) : cursor
+			if (values.length !== keyset.length) {
+				throw new TypeError('Pagination cursor does not match the ordered columns')
+			}
 
-	static Union(...args) { return new Union(...args) }
-	static UnionAll(...fns) { return new Union(fns, 'ALL') }
-	static UnionDistinct(...fns) { return new Union(fns) } // Distinct == default
+			const { direction } = keyset[0]
+			if (keyset.every(entry => entry.direction === direction)) {
+				// An empty function name creates a row constructor, e.g. ("created_at", "id") > (:p1, :p2)
+				const columns = keyset.map(({ column }) => {
+					if (column instanceof Sql) {
+						return column
+					}
+					return new Column(column)
+				})
+				builder = builder.where(new Fn('', ...columns), new Fn('', ...values), direction === 'ASC' ? '>' : '<')
+			} else {
+				// Row comparisons only work in one direction, so mixed orderings are expanded into the equivalent
+				// (a > :a) OR (a = :a AND b < :b) OR ...
+				const branches = keyset.map(({ column, direction: current }, index) => new And(
+					...keyset.slice(0, index).map((previous, prior) => new Where(previous.column, values[prior])),
+					new Where(column, values[index], current === 'ASC' ? '>' : '<')
+				))
+				builder = builder.where(new Or(...branches))
+			}
+		}
 
-	constructor() {
-		this._where = []
-		this._join = []
-		this._groupBy = []
-		this._order = []
-		this._select = []
-		this._limit = null
-		this._offset = null
+		if (pageSize != null) {
+			builder = builder.limit(normalisePageSize(pageSize) + 1)
+		}
+		return builder
+	}
 
-		this._from = null
+	/**
+	 * A shortcut for adding a paranoid record check to a query. Paranoid models use a `deleted` timestamp
+	 * to mark rows as deleted, instead of deleting a row from the database
+	 *
+	 * @param {string} [fieldName = deleted_at] The name of the column containing the timestamp. Will usually be
+	 * `deleted_at`, but in some cases this my need to be customised
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	paranoid(fieldName = 'deleted_at') {
+		return this.where(fieldName, new Null(), 'IS')
+	}
 
-		this._replacements = {}
+	/**
+	 * Opt out of scopes registered with {@link QueryBuilder.addScope}. Nested queries are scoped separately, and need
+	 * to opt out themselves
+	 *
+	 * @param {...string} names The names of the scopes to skip. When no names are provided, every scope is skipped
+	 *
+	 * @returns {QueryBuilder} This builder
+	 */
+	unscoped(...names) {
+		const builder = this._mutable()
+		if (names.length < 1) {
+			builder._unscoped = true
+		} else if (builder._unscoped !== true) {
+			builder._unscoped = builder._unscoped.concat(names)
+		}
+		return builder
 	}
 
-	table(name) {
-		this._from = name
-		return this
+	/**
+	 * Resolve the registered scopes that apply to this query before a statement is generated. Scopes are resolved once
+	 * per statement, so that the statement text and its replacements use the same conditions
+	 *
+	 * @param {string} statement The name of the terminal method generating the statement
+	 * @private
+	 */
+	_resolveScopes(statement) {
+		const scopes = [...SCOPES.values()].filter(({ name }) => this._unscoped !== true && !this._unscoped.includes(name))
+		const local = this._with.map(cte => cte._name._parts.join('.'))
+		const resolve = (table, alias, schema) => {
+			if (local.includes(table)) {
+				return []
+			}
+			return scopes.map(scope => QueryBuilder._resolveScope(scope, { table, alias, schema, statement })).filter(Boolean)
+		}
+
+		const main = typeof this._from === 'string' ? resolve(this._from, null, this._schema) : []
+		const where = main.map(({ condition }) => condition)
+		const values = Object.assign({}, ...main.map(scope => scope.values))
+		const join = this._join.map(item => {
+			if (!(item._table instanceof Column)) {
+				return item
+			}
+			const alias = item._alias == null ? null : item._alias._parts.join('.')
+			const conditions = resolve(item._table._parts.join('.'), alias, null).map(({ condition }) => condition)
+			if (conditions.length < 1) {
+				return item
+			}
+			if (item._condition == null) {
+				where.push(...conditions)
+				return item
+			}
+			return new item.constructor(item._table, new And(item._condition, ...conditions), alias)
+		})
+
+		this._scope = { where, join, values }
 	}
 
-	_processSelectedField(field) {
-		if (field == null) {
+	/**
+	 * Create the condition of a scope for a single table
+	 *
+	 * @param {{name: string, condition: (Object|Function), tables: ?Array.<string>}} scope The registered scope
+	 * @param {{table: string, alias: ?string, schema: ?module:src/database/QueryBuilder~Table, statement: string}}
+	 * target The table being scoped
+	 * @returns {?{condition: module:src/database/QueryBuilder~Sql, values: Object}} The condition and the values it
+	 * requires of inserted rows, or null if the table is not scoped
+	 * @private
+	 */
+	static _resolveScope({ name, condition, tables }, target) {
+		if (tables != null && !tables.includes(target.table)) {
 			return null
 		}
-		if (typeof field === 'string') {
-			return new Column(field)
+		const resolved = typeof condition === 'function' ? condition(target) : condition
+		if (resolved == null) {
+			return null
 		}
-		if (field.hasOwnProperty('fnCall')) {
-			Object.assign(this._replacements, field.replacements || {})
-			return field.fnCall
+		if (resolved instanceof Sql) {
+			return { condition: resolved, values: {} }
 		}
-		if (field instanceof Sql) {
-			return field
+		if (!isPlainObject(resolved) || Object.keys(resolved).length < 1) {
+			throw new TypeError(`Scope "${ name }" must create an Sql condition or an object of column values`)
 		}
-		return String(field)
-	}
 
-	_generateWhere() {
-		if (this._where.length < 1) {
-			return ''
+		const columns = Object.keys(resolved)
+		const missing = target.schema == null ? [] : columns.filter(column => !target.schema.columnNames.includes(column))
+		if (missing.length > 0) {
+			throw new Error(`Scope "${ name }" uses columns that are not declared by table "${ target.table }": ${ missing.join(', ') }`)
 		}
+		const qualifier = target.alias || target.table
+		const filter = {}
+		const values = {}
+		columns.forEach(column => {
+			const value = resolved[column]
+			filter[`${ qualifier }.${ column }`] = value
+			if (!Array.isArray(value) && !(value instanceof Sql)) {
+				values[column] = value
+			}
+		})
+		return { condition: Where.from(filter), values }
+	}
 
-		return `WHERE ${ new And(...this._where).toSql() }`
+	/**
+	 * Check that the values written to the table of the query keep each row in its scopes, so that an `INSERT` or an
+	 * `UPDATE` can not move rows out of them
+	 *
+	 * @param {Object} values The values written to the table, by column
+	 * @param {string} action Either `insert` or `update`, used in the error message
+	 *
+	 * @throws {Error} If a scoped column is written with a value other than the one of its scope
+	 * @private
+	 */
+	_assertScopedValues(values, action) {
+		const scoped = this._scope == null ? {} : this._scope.values
+		Object.keys(scoped).forEach(key => {
+			if (values.hasOwnProperty(key) && values[key] !== scoped[key]) {
+				throw new Error(`Can not ${ action } a value for "${ key }" outside of the scope of the query`)
+			}
+		})
 	}
-	_generateJoin() {
-		return concatPossibleSqlList(this._join, ' ')
+
+	/**
+	 * Get the conditions for the `WHERE` clause of the statement being generated, including those of any scopes
+	 *
+	 * @returns {Array.<module:src/database/QueryBuilder~Sql>} The conditions
+	 * @private
+	 */
+	_conditions() {
+		return this._scope == null ? this._where : this._where.concat(this._scope.where)
 	}
-	_generateFrom() {
-		if (this._from == null) {
-			return ''
-		}
-		if (this._from instanceof Sql) {
-			return `FROM ${ this._from.toSql() }`
-		}
-		return `FROM "${ this._from }"`
+
+	/**
+	 * Get the joins of the statement being generated, with the conditions of any scopes added to them
+	 *
+	 * @returns {Array.<module:src/database/QueryBuilder~Join>} The joins
+	 * @private
+	 */
+	_joins() {
+		return this._scope == null ? this._join : this._scope.join
 	}
-	_generateLimit() {
-		if (this._limit == null) {
-			return ''
+
+	/**
+	 * Generate a statement with a terminal method. Placeholders are named `:p1`, `:p2`, etc. in the order they are
+	 * generated, which is the order they appear in the statement. Nested builders leave their placeholders to be named
+	 * by the statement that contains them
+	 *
+	 * @param {function(): string} generate Generates the statement
+	 * @returns {string} The generated statement
+	 * @private
+	 */
+	_generate(generate) {
+		if (this._nested) {
+			return generate()
 		}
-		return `LIMIT ${ this._limit }`
+		return withNaming(this._format || (position => `:p${ position }`), generate)
 	}
-	_generateOffset() {
-		if (this._offset == null) {
-			return ''
+
+	/**
+	 * Generate a statement with placeholders in another style, such as the positional placeholders of node-postgres
+	 *
+	 * @param {function(number): string} format Creates the placeholder for a (1-based) position
+	 * @param {function(): string} generate Generates the statement with a terminal method
+	 * @returns {string} The generated statement
+	 * @private
+	 */
+	_withFormat(format, generate) {
+		this._format = format
+		try {
+			return generate()
+		} finally {
+			this._format = null
 		}
-		return `OFFSET ${ this._offset }`
 	}
-	_generateGroupBy() {
-		if (this._groupBy.length < 1) {
-			return ''
-		}
 
-		return `GROUP BY ${ concatPossibleSqlList(this._groupBy) }`
-	}
-	_generateOrder() {
-		if (this._order.length < 1) {
-			return ''
+	/**
+	 * Record a generated statement, so that `getReplacements` can return the values of its placeholders. This is the
+	 * only state a terminal method records, so the same builder can generate any number of statements. Nested builders
+	 * record the internal identifiers of their placeholders, as they are named by the statement that contains them
+	 *
+	 * @param {string} text The generated statement
+	 * @param {{}} [extra = {}] Replacements used by the statement that are not part of the builder itself, such as
+	 * inserted values
+	 * @param {Object.<string, string>} [bindings = {}] The columns that any extra replacements are written to, which
+	 * are used with the columns found in the conditions of the query to redact sensitive values in `toDebugString`
+	 * @param {{statement: string, args: Array.<*>}} [terminal = null] The terminal method that generated the statement
+	 * and its arguments, so that a nested query can be serialized with `toJSON` and generated again
+	 * @returns {string} The generated statement
+	 * @private
+	 */
+	_finalise(text, extra = {}, bindings = {}, terminal = null) {
+		if (this._hardened) {
+			this._assertSafe()
+		}
+		const conditions = [this._joins(), this._conditions(), this._having, this._conflict == null ? null : this._conflict.where]
+		const columns = Object.assign(columnBindings(conditions), bindings)
+		this._scope = null
+		if (naming != null) {
+			Object.assign(naming.columns, columns)
+		}
+		if (this._nested) {
+			this._statement = { replacements: Object.assign(this._collectReplacements(), extra), columns, terminal }
+			return text
 		}
 
-		return `ORDER BY ${ concatPossibleSqlList(this._order) }`
-	}
-
-	property(...fields) {
-		this._select = this._select.concat(fields.map(f => this._processSelectedField(f)))
-		return this
+		const named = {}
+		naming.positions.forEach((position, ident) => {
+			if (naming.columns.hasOwnProperty(ident)) {
+				named[`p${ position }`] = naming.columns[ident]
+			}
+		})
+		this._statement = { replacements: naming.values, columns: named, terminal }
+		return text
 	}
 
-	where(left, right = null, operator = '=') {
-		if (left instanceof Where) {
-			this._where.push(left)
-		} else {
-			this._where.push(new Where(left, right, operator))
+	/**
+	 * Get the replacements of the statement most recently generated by one of the terminal methods, with the same
+	 * placeholder names as the statement. Placeholders are only named when a statement is generated, so no
+	 * replacements are returned before the first statement, and changes made to the query afterwards are only included
+	 * once the next statement is generated
+	 *
+	 * @returns {{}} An Object mapping replacement placeholder names to concrete values that will be used in the query
+	 */
+	getReplacements() {
+		if (this._statement == null) {
+			return {}
 		}
-		return this
+		return this._statement.replacements
 	}
 
-	limit(number) {
-		this._limit = number
-		return this
+	/**
+	 * Get the replacements of a nested query, under the internal identifiers used by the text it was created with. The
+	 * function creating a nested query may return text that was not generated by a terminal method of its builder, in
+	 * which case the replacements of every part of the query are used
+	 *
+	 * @returns {{}} The replacements
+	 * @private
+	 */
+	_nestedReplacements() {
+		if (this._statement == null) {
+			return this._collectReplacements()
+		}
+		return this._statement.replacements
 	}
 
-	offset(number) {
-		this._offset = number
-		return this
+	_collectReplacements() {
+		return Object.assign(
+			{},
+			this._replacements,
+			sqlListToReplacements(this._with),
+			sqlListToReplacements(this._distinct || []),
+			sqlListToReplacements(this._select),
+			sqlListToReplacements(this._returning),
+			sqlListToReplacements(this._joins()),
+			sqlListToReplacements(this._conditions()),
+			sqlListToReplacements(this._groupBy),
+			sqlListToReplacements(this._having),
+			sqlListToReplacements(this._window.map(({ window }) => window)),
+			sqlListToReplacements(this._order),
+			sqlListToReplacements([this._limit, this._offset])
+		)
 	}
 
-	join(...args) {
-		if (args.length === 1) {
-			const [join] = args
-			if (!(join instanceof Join)) {
-				throw new TypeError('Cannot use non-join object to directly create JOIN')
+	/**
+	 * Create a structured, JSON serializable description of the query, which can be recreated as a builder with
+	 * {@link QueryBuilder.fromJSON}. See {@link module:src/database/QueryBuilder~Sql#toJSON|Sql#toJSON} for the
+	 * descriptions of the parts of the query
+	 *
+	 * @returns {{type: string}} The description of this builder
+	 */
+	toJSON() {
+		let conflict = null
+		if (this._conflict != null) {
+			const { target, update, where } = this._conflict
+			conflict = {
+				target: target instanceof Sql ? target.toJSON() : target.map(encodeJSON),
+				update: update == null || Array.isArray(update) ? update : encodeArgument(update),
+				where: where == null ? null : where.toJSON(),
 			}
-			this._join.push(join)
-		} else {
-			this._join.push(new Join(...args))
 		}
-		return this
-	}
 
-	delete() {
-		if (this._where.length < 1) {
-			// While *technically* you can have a delete without a filter, that doesn't sound
-			// like a very good idea, now does it?
-			throw new Error('Can not create delete statement without at least one condition')
+		return {
+			type: 'QueryBuilder',
+			options: { immutable: this._immutable, hardened: this._hardened },
+			table: encodeJSON(this._from),
+			schema: this._schema == null ? null : { name: this._schema.name, columns: this._schema._columns },
+			with: this._with.map(cte => cte.toJSON()),
+			distinct: this._distinct == null ? null : this._distinct.map(column => column.toJSON()),
+			select: this._select.map(encodeJSON),
+			returning: this._returning.map(encodeJSON),
+			join: this._join.map(join => join.toJSON()),
+			where: this._where.map(condition => condition.toJSON()),
+			groupBy: this._groupBy.map(encodeJSON),
+			having: this._having.map(condition => condition.toJSON()),
+			window: this._window.map(({ name, window }) => ({ name: name._parts.join('.'), window: window.toJSON() })),
+			order: this._order.map(term => term.toJSON()),
+			limit: encodeJSON(this._limit),
+			offset: encodeJSON(this._offset),
+			conflict,
+			unscoped: this._unscoped,
+			replacements: this._replacements,
 		}
-		return `DELETE ${ this._generateFrom() } ${ this._generateWhere() }`.trim()
 	}
 
-	select(...fields) {
-		this._select = this._select.concat(fields.map(f => this._processSelectedField(f)))
-		const select = concatPossibleSqlList(this._select)
-		const buffer = [
-			'SELECT',
-			select,
-			this._generateFrom(),
-			this._generateJoin(),
-			this._generateWhere(),
-			this._generateGroupBy(),
-			this._generateOrder(),
-			this._generateLimit(),
-			this._generateOffset(),
-		].filter(Boolean)
-
-		return buffer.join(' ').trim()
-	}
+	/**
+	 * Replace the query of this builder with one described by `toJSON`
+	 *
+	 * @param {{type: string}} json The description of the query
+	 * @returns {QueryBuilder} This builder
+	 * @private
+	 */
+	_load(json) {
+		if (json == null || json.type !== 'QueryBuilder') {
+			throw new TypeError('Invalid JSON description of a QueryBuilder')
+		}
+		const {
+			table = null, schema = null, distinct = null, limit = null, offset = null, conflict = null, unscoped = [],
+			replacements = {},
+		} = json
+		if (json.options != null && json.options.hardened) {
+			this._hardened = true
+		}
+		const list = key => (json[key] || []).map(decodeJSON)
+		// Fields that are not Sql objects are written as-is, so names are quoted as columns when loading hardened
+		const field = value => {
+			if (!this._hardened || value instanceof Sql) {
+				return value
+			}
+			if (typeof value !== 'string') {
+				throw new TypeError(`Unsafe field "${ value }"; fields loaded hardened must be names or Sql objects`)
+			}
+			return /^[1-9][0-9]*$/.test(value) ? value : new Column(value)
+		}
 
+		this._from = table == null ? null : decodeJSON(table)
+		this._schema = schema == null ? null : new Table(schema.name, schema.columns)
+		this._with = list('with')
+		this._distinct = distinct == null ? null : distinct.map(decodeJSON).map(field)
+		this._select = list('select').map(field)
+		this._returning = list('returning').map(field)
+		this._join = list('join')
+		this._where = list('where')
+		this._groupBy = list('groupBy')
+		this._having = list('having')
+		this._window = (json.window || []).map(({ name, window }) => ({ name: new Column(name), window: decodeJSON(window) }))
+		this._order = list('order').map(field)
+		this._limit = limit == null ? null : decodeJSON(limit)
+		this._offset = offset == null ? null : decodeJSON(offset)
+		this._conflict = null
+		if (conflict != null) {
+			const { target = [], update = null, where = null } = conflict
+			this._conflict = {
+				target: Array.isArray(target) ? target.map(decodeJSON) : decodeJSON(target),
+				update: update == null || Array.isArray(update) ? update : decodeArgument(update),
+				where: where == null ? null : decodeJSON(where),
+			}
+		}
+		this._unscoped = unscoped === true ? true : unscoped.slice()
+		this._replacements = Object.assign({}, replacements)
+		this._statement = null
+		this._scope = null
 
-	order(...clauses) {
-		this._order = this._order.concat(clauses)
+		if (this._hardened) {
+			this._assertSafe()
+		}
 		return this
 	}
 
-	groupBy(...clauses) {
-		this._groupBy = this._groupBy.concat(clauses)
+	/**
+	 * Call a visitor for every part of this query. See {@link QueryBuilder.visit}
+	 *
+	 * @param {Function|Object.<string, Function>} visitor The visitor to call
+	 * @returns {QueryBuilder} This builder
+	 */
+	visit(visitor) {
+		QueryBuilder.visit(this, visitor)
 		return this
 	}
 
 	/**
-	 * A shortcut for adding a paranoid record check to a query. Paranoid models use a `deleted` timestamp
-	 * to mark rows as deleted, instead of deleting a row from the database
+	 * Create a copy of this builder with some parts of its query replaced. See {@link QueryBuilder.transform}
 	 *
-	 * @param {string} [fieldName = deleted_at] The name of the column containing the timestamp. Will usually be
-	 * `deleted_at`, but in some cases this my need to be customised
+	 * @param {Function|Object.<string, Function>} visitor The visitor to call
+	 * @returns {QueryBuilder} The transformed copy
 	 */
-	paranoid(fieldName = 'deleted_at') {
-		this.where(fieldName, new Null(), 'IS')
-		return this
+	transform(visitor) {
+		const builder = QueryBuilder.transform(this, visitor)
+		builder._nested = this._nested
+		return builder
 	}
+}
 
-	getReplacements() {
-		return Object.assign(
-			{},
-			this._replacements,
-			sqlListToReplacements(this._select),
-			sqlListToReplacements(this._join),
-			sqlListToReplacements(this._where),
-			sqlListToReplacements(this._order)
-		)
-	}
+/**
+ * The default options for every new builder. See the {@link QueryBuilder} constructor for the available options
+ *
+ * The `sensitive` list holds the names of the columns whose values are redacted by `toDebugString`
+ *
+ * @type {{immutable: boolean, hardened: boolean, sensitive: Array.<(string|RegExp)>}}
+ */
+QueryBuilder.defaults = {
+	immutable: false,
+	hardened: false,
+	sensitive: ['password'],
 }
 
+/**
+ * Expose {@link module:src/database/QueryBuilder~Where.from|Where.from} alongside the `Where` shortcut
+ *
+ * @param {Object} filter The filter object to convert
+ * @returns {module:src/database/QueryBuilder~Sql} The condition represented by the filter
+ */
+QueryBuilder.Where.from = filter => Where.from(filter)
+
+Object.assign(NODE_TYPES, {
+	Raw, Column, Literal, Cast, And, Or, Fn, Null, Excluded, Constraint,
+	Where, Select, Order, Window, Over, SubSelect, Union, With,
+	Join, LateralCrossJoin, LateralLeftJoin, OuterJoin, LeftOuterJoin, FullOuterJoin, InnerJoin,
+	In, NotIn, Between, Like, ILike, IsNull, IsNotNull, Exists, Not,
+	JsonGet, JsonPath, JsonContains, JsonContainedBy, JsonHasKey, JsonHasAnyKey, JsonHasAllKeys, JsonPathExists,
+	TsVector, TsQuery, TextSearch, TsRank, TsHeadline,
+	When, Else, Case, QueryBuilder,
+})
+
+/**
+ * The base class of every SQL object, for creating custom types. See {@link QueryBuilder.extend}
+ *
+ * @type {Function}
+ */
+QueryBuilder.Sql = Sql
+
+/**
+ * Every SQL type, including any added with {@link QueryBuilder.extend}, by name. The static methods of the same names
+ * create instances of these types; the classes themselves can be used to check or extend them
+ *
+ * @type {Object.<string, Function>}
+ */
+QueryBuilder.types = Object.keys(NODE_TYPES).reduce((types, name) => {
+	if (name !== 'QueryBuilder') {
+		types[name] = NODE_TYPES[name]
+	}
+	return types
+}, { Sql, Joinder, Table })
+
 module.exports = QueryBuilder
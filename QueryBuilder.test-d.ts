@@ -0,0 +1,88 @@
+// Checked by `npm run typecheck`. Nothing here is run; each statement only needs to compile, and each
+// `@ts-expect-error` line needs to fail to
+import QB = require('./QueryBuilder')
+
+type Expect<T extends true> = T
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+
+const users = QB.Table('users', {
+	id: { type: 'uuid', nullable: false },
+	name: 'text',
+	age: { type: 'int4', nullable: false },
+	tags: 'text[]',
+	settings: 'jsonb',
+	created_at: { type: 'timestamptz', nullable: false },
+})
+const adapter = QB.MemoryAdapter()
+
+export async function rows() {
+	const selected = await new QB().table(users).where('age', 18, '>=').property('id', 'users.name').run(adapter)
+	type _selected = Expect<Equal<typeof selected[number], { id: string, name: string | null }>>
+
+	const all = await new QB().table(users).run(adapter)
+	type _array = Expect<Equal<typeof all[number]['tags'], string[] | null>>
+	type _date = Expect<Equal<typeof all[number]['created_at'], Date>>
+
+	const one = await new QB().table(users).first(adapter, 'age', QB.Select(QB.Fn('count', QB.Column('*')), 'total'))
+	type _first = Expect<Equal<typeof one, { age: number, total: unknown } | null>>
+
+	const loose = await new QB().table('foo').property('bar').run(adapter)
+	type _loose = Expect<Equal<typeof loose[number]['bar'], any>>
+}
+
+export function schemas() {
+	// @ts-expect-error unknown column
+	new QB().table(users).property('nmae')
+	// @ts-expect-error unknown column
+	new QB().table(users).where('nmae', 1)
+	// @ts-expect-error wrong value type
+	new QB().table(users).where('id', 1).update({ age: 'old' })
+
+	new QB().table(users).where({ $or: [ { age: { $gt: 5 } }, { name: null } ] }).order('created_at', 'DESC').select()
+	new QB().table(users).onConflict('id', { update: ['name'] }).insert({ id: 'x', age: 4, created_at: QB.Fn('now') })
+	QB.Where.from({ age: { $between: [18, 65] } })
+}
+
+export function compile() {
+	const positional: unknown[] = new QB().table(users).compile('select', { style: 'positional' }).values
+	const named: QB.Replacements = new QB().table(users).compile('select').values
+	return [positional, named]
+}
+
+export function debug() {
+	QB.defaults.sensitive.push(/token$/)
+	const text: string = new QB().table(users).where('name', 'Foo').toDebugString('select', { pretty: true })
+	return QB.formatSql(text, { indent: '\t' })
+}
+
+export function json() {
+	const description = new QB().table('users').where('a', 1).toJSON()
+	const recreated: QB = QB.fromJSON(description, { hardened: true, allowRaw: false })
+	QB.visit(recreated, { Join: join => { console.log(join.table) } })
+	const transformed: QB = recreated.transform(node => (node.type === 'Column' ? QB.Column('b') : undefined))
+	const node: QB.Sql = QB.transform(QB.Column('a'), { Column: () => QB.Column('b') })
+	const copy: QB.NodeJSON = QB.transform(description as QB.NodeJSON, () => null)
+	return [transformed, node, copy]
+}
+
+export function scopes() {
+	QB.addScope('tenant', ({ table, alias }) => (table === 'orgs' ? null : { org_id: alias?.length }), { tables: ['users', users] })
+	QB.addScope('live', QB.IsNull('deleted_at'), { tables: ['users'] })
+	// @ts-expect-error object and Sql scopes must list their tables
+	QB.addScope('live', { active: true })
+	const removed: boolean = QB.removeScope('live')
+	new QB().table(users).unscoped('tenant').where('name', 'x')
+	return removed
+}
+
+export function extensions() {
+	class Distance extends QB.Sql {
+		constructor(private readonly column: string) { super() }
+		toSql(): string { return QB.Column(this.column).toSql() }
+	}
+	const remove: () => void = QB.extend({ types: { Distance }, methods: { whereActive: builder => builder.where('active', true) } })
+	new QB().table('places').where(new Distance('location'), 1, '<')
+	// @ts-expect-error methods must return a builder
+	QB.extend({ methods: { broken: () => 'SELECT 1' } })
+	remove()
+}
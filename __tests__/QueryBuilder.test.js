@@ -156,3 +156,1259 @@ test('Lateral cross joins allow selecting data with multiple names in a complex
 
 	// Assert something
 })
+
+test('Generates a multi-row INSERT with bound values', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users').insert([
+		{ name: 'foo', email: 'foo@example.com' },
+		{ name: 'bar', created_at: QB.Fn('now') },
+	])
+	const replacements = builder.getReplacements()
+	const [fooName, fooEmail, barName] = Object.keys(replacements)
+
+	expect(sql).toBe([
+		'INSERT INTO "users" ("name", "email", "created_at") VALUES',
+		`(:${ fooName }, :${ fooEmail }, DEFAULT), (:${ barName }, DEFAULT, now())`,
+	].join(' '))
+	expect(replacements[fooEmail]).toBe('foo@example.com')
+	expect(replacements[barName]).toBe('bar')
+})
+
+test('Generates an INSERT ... SELECT from a nested builder', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('archived_users').insert(
+		sub => sub.table('users').where('deleted_at', QB.Null(), 'IS NOT').select('id', 'name'),
+		['id', 'name']
+	)
+
+	expect(sql).toBe('INSERT INTO "archived_users" ("id", "name") SELECT "id", "name" FROM "users" WHERE "deleted_at" IS NOT NULL')
+
+	const deleted = new QueryBuilder().table('users').where('deleted_at', QB.Null(), 'IS NOT').property('id', 'name')
+	expect(new QueryBuilder().table('archived_users').insert(deleted, ['id', 'name'])).toBe(sql)
+	expect(deleted.select()).toBe('SELECT "id", "name" FROM "users" WHERE "deleted_at" IS NOT NULL')
+})
+
+test('Will not generate INSERT without any rows', () => {
+	expect(() => new QueryBuilder().table('users').insert([])).toThrow()
+	expect(() => new QueryBuilder().insert({ name: 'foo' })).toThrow()
+	expect(() => new QueryBuilder().table('users').insert(new Date())).toThrow(TypeError)
+	expect(() => new QueryBuilder().table('users').insert([ { name: 'foo' }, QB.Raw('1')])).toThrow(TypeError)
+})
+
+test('Rejects INSERT clauses that would be left out and writes undefined values as DEFAULT', () => {
+	const users = new QueryBuilder().table('users')
+	const { missing } = {}
+
+	expect(() => users.clone().where('id', 1).insert(sub => sub.table('invites').select('name'), ['name']))
+		.toThrow('Can not create insert statement for a query using WHERE')
+	expect(() => users.clone().where('id', 1).insert({ name: 'foo' })).toThrow(Error)
+	expect(() => users.clone().order('name').insert({ name: 'foo' })).toThrow('a query using ORDER BY')
+	expect(() => users.clone().limit(1).insert({ name: 'foo' })).toThrow(Error)
+
+	expect(users.insert([ { name: 'foo', email: missing }, { name: 'bar', email: 'bar@example.com' } ]))
+		.toBe('INSERT INTO "users" ("name", "email") VALUES (:p1, DEFAULT), (:p2, :p3)')
+	expect(users.getReplacements()).toEqual({ p1: 'foo', p2: 'bar', p3: 'bar@example.com' })
+	expect(users.insert({ name: 'foo', email: missing }, ['name', 'email']))
+		.toBe('INSERT INTO "users" ("name", "email") VALUES (:p1, DEFAULT)')
+})
+
+test('Will not generate UPDATE without a condition unless explicitly allowed', () => {
+	expect(() => new QueryBuilder().table('users').update({ active: false })).toThrow()
+
+	const sql = new QueryBuilder().table('users').update({ updated_at: QB.Fn('now') }, { unfiltered: true })
+	expect(sql).toBe('UPDATE "users" SET "updated_at" = now()')
+})
+
+test('Generates an UPDATE with bound values and Sql expressions', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where('id', 'foo-bar-baz')
+		.update({ name: 'foo', login_count: QB.Raw('"login_count" + 1') })
+
+	expect(sql).toBe('UPDATE "users" SET "name" = :p1, "login_count" = "login_count" + 1 WHERE "id" = :p2')
+	expect(builder.getReplacements()).toEqual({ p1: 'foo', p2: 'foo-bar-baz' })
+})
+
+test('Generates an UPDATE ... FROM using the builder joins', () => {
+	const sql = new QueryBuilder().table('users')
+		.join('orgs', QB.Where('o.id', QB.Column('users.org_id')), 'o')
+		.where('o.disabled', QB.Raw('TRUE'))
+		.update({ active: QB.Raw('FALSE') })
+
+	expect(sql).toBe('UPDATE "users" SET "active" = FALSE FROM "orgs" "o" WHERE ("o"."id" = "users"."org_id" AND "o"."disabled" = TRUE)')
+	expect(() => new QueryBuilder().table('users')
+		.join(QB.LeftOuterJoin('orgs', QB.Where('o.id', QB.Column('users.org_id')), 'o'))
+		.update({ active: false }, { unfiltered: true })).toThrow()
+})
+
+test('Generates an INSERT that skips conflicting rows', () => {
+	const sql = new QueryBuilder().table('tags')
+		.onConflict(QB.Constraint('tags_name_key'))
+		.insert({ name: QB.Raw('\'foo\'') })
+
+	expect(sql).toBe('INSERT INTO "tags" ("name") VALUES (\'foo\') ON CONFLICT ON CONSTRAINT "tags_name_key" DO NOTHING')
+})
+
+test('Generates an upsert that updates conflicting rows from EXCLUDED values', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.onConflict(['email'], {
+			update: { name: QB.Excluded('name'), updated_at: QB.Fn('now') },
+			where: QB.Where('users.locked', false),
+		})
+		.insert({ email: 'foo@example.com', name: 'foo' })
+
+	expect(sql).toBe([
+		'INSERT INTO "users" ("email", "name") VALUES (:p1, :p2)',
+		'ON CONFLICT ("email") DO UPDATE SET "name" = EXCLUDED."name", "updated_at" = now()',
+		'WHERE "users"."locked" = :p3',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'foo@example.com', p2: 'foo', p3: false })
+	expect(() => QB.Excluded('users.name')).toThrow('Excluded column "users.name" can not be qualified with a table name')
+})
+
+test('Upsert column list shortcut sets columns from EXCLUDED and requires a target', () => {
+	const sql = new QueryBuilder().table('users')
+		.onConflict('email', { update: ['name'] })
+		.insert({ email: QB.Raw('\'foo\''), name: QB.Raw('\'bar\'') })
+
+	expect(sql).toBe([
+		'INSERT INTO "users" ("email", "name") VALUES (\'foo\', \'bar\')',
+		'ON CONFLICT ("email") DO UPDATE SET "name" = EXCLUDED."name"',
+	].join(' '))
+	expect(() => new QueryBuilder().table('users').onConflict([], { update: ['name'] })).toThrow()
+	expect(() => new QueryBuilder().table('users').onConflict('email', { update: ['name'] }).where('id', 1).update({ name: 'foo' }))
+		.toThrow('Can not create update statement for a query with an ON CONFLICT clause, which only applies to inserts')
+})
+
+test('Generates a DELETE that returns the removed rows', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where('deleted_at', QB.Null(), 'IS NOT')
+		.returning('id', QB.Select('users.email', 'address'))
+		.delete()
+
+	expect(sql).toBe('DELETE FROM "users" WHERE "deleted_at" IS NOT NULL RETURNING "id", "users"."email" as address')
+})
+
+test('RETURNING clauses apply to INSERT and UPDATE statements', () => {
+	const insert = new QueryBuilder().table('users')
+		.returning('*')
+		.insert({ name: QB.Raw('\'foo\'') })
+	const update = new QueryBuilder().table('users')
+		.where('id', QB.Raw('1'))
+		.returning('id', QB.Select(QB.Fn('now'), 'updated_at'))
+		.update({ name: QB.Raw('\'foo\'') })
+
+	expect(insert).toBe('INSERT INTO "users" ("name") VALUES (\'foo\') RETURNING *')
+	expect(update).toBe('UPDATE "users" SET "name" = \'foo\' WHERE "id" = 1 RETURNING "id", now() as updated_at')
+
+	const returning = new QueryBuilder().table('users').returning('id')
+	expect(() => returning.select('id'))
+		.toThrow('Can not create select statement for a query with a RETURNING clause, which only applies to writes')
+	expect(() => returning.count()).toThrow(Error)
+})
+
+test('Compiles a SELECT to positional placeholders in the order they appear', () => {
+	const { text, values } = new QueryBuilder().table('apartments')
+		.where(QB.Fn('ST_DWITHIN', QB.Column('location'), QB.Fn('ST_POINT', 1.5, 2.5), 500), null, null)
+		.where('price', QB.Cast(QB.Literal('4000'), 'INTEGER'), '<')
+		.compile('select', { style: 'positional' }, '*')
+
+	expect(text).toBe('SELECT * FROM "apartments" WHERE (ST_DWITHIN("location", ST_POINT($1, $2), $3) AND "price" < $4::INTEGER)')
+	expect(values).toEqual([1.5, 2.5, 500, '4000'])
+})
+
+test('Positional compilation reuses the number of a repeated replacement', () => {
+	const name = QB.Literal('foo')
+	const { text, values } = new QueryBuilder().table('users')
+		.where(QB.Or(QB.Where('first_name', name), QB.Where('last_name', name)), null, null)
+		.compile('delete', { style: 'positional' })
+
+	expect(text).toBe('DELETE FROM "users" WHERE ("first_name" = $1 OR "last_name" = $1)')
+	expect(values).toEqual(['foo'])
+})
+
+test('Names placeholders as the statement is generated, including those of nested queries', () => {
+	const sql = new QueryBuilder().table('archived_users').insert(sub => sub.table('users')
+		.where('org_id', QB.SubSelect(orgs => orgs.table('orgs').where('slug', 'acme').select('id')))
+		.where('name', 'a')
+		.select('id', QB.Raw('\':p1\' AS "note"')), ['id', 'note'])
+
+	expect(sql).toBe([
+		'INSERT INTO "archived_users" ("id", "note") SELECT "id", \':p1\' AS "note" FROM "users"',
+		'WHERE ("org_id" = (SELECT "id" FROM "orgs" WHERE "slug" = :p1) AND "name" = :p2)',
+	].join(' '))
+
+	const query = () => new QueryBuilder().table('users')
+		.where('name', 'a')
+		.where(QB.In('id', QB.SubSelect(sub => sub.table('posts').where('score', 5).select('user_id'))))
+	expect(query().compile('select', { style: 'positional' }, QB.Raw('\'$1\''))).toEqual({
+		text: 'SELECT \'$1\' FROM "users" WHERE ("name" = $1 AND "id" IN (SELECT "user_id" FROM "posts" WHERE "score" = $2))',
+		values: ['a', 5],
+	})
+	expect(query().select()).toBe(query().select())
+
+	const recent = new QueryBuilder().with('recent', sub => sub.table('posts').where('age', 7, '<').select('user_id')).table('recent')
+	expect(recent.select(QB.Fn('coalesce', QB.Column('user_id'), 0))).toBe(
+		'WITH "recent" AS (SELECT "user_id" FROM "posts" WHERE "age" < :p1) SELECT coalesce("user_id", :p2) FROM "recent"'
+	)
+	expect(recent.count({ column: QB.Fn('coalesce', QB.Column('user_id'), 0) })).toBe(
+		'WITH "recent" AS (SELECT "user_id" FROM "posts" WHERE "age" < :p1) SELECT count(coalesce("user_id", :p2)) FROM "recent"'
+	)
+})
+
+test('Named compilation matches the terminal output and replacements', () => {
+	const builder = new QueryBuilder().table('users').where('id', 'foo')
+	const { text, values } = builder.compile('select', {}, 'id')
+
+	expect(text).toBe(`SELECT "id" FROM "users" WHERE "id" = :${ Object.keys(values)[0] }`)
+	expect(() => builder.compile('truncate')).toThrow()
+})
+
+test('Placeholders are named in order of appearance, so identical queries produce identical text', () => {
+	const build = () => new QueryBuilder().table('users')
+		.where('org_id', 5)
+		.where('name', 'foo')
+		.select('id', QB.Select(QB.Fn('lower', 'BAR'), 'bar'))
+
+	expect(build()).toBe('SELECT "id", lower(:p1) as bar FROM "users" WHERE ("org_id" = :p2 AND "name" = :p3)')
+	expect(build()).toBe(build())
+})
+
+test('Placeholders from nested builders are named by the outermost builder without collisions', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where('id', QB.SubSelect(sub => sub.table('admins').where('level', 3).select('user_id')), 'IN')
+		.where('org_id', QB.SubSelect(sub => sub.table('orgs').where('name', 'foo').select('id')), 'IN')
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "users" WHERE ("id" IN (SELECT "user_id" FROM "admins" WHERE "level" = :p1)',
+		'AND "org_id" IN (SELECT "id" FROM "orgs" WHERE "name" = :p2))',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 3, p2: 'foo' })
+})
+
+test('Terminal methods do not modify the builder, so it can generate statements repeatedly', () => {
+	const builder = new QueryBuilder().table('users').property('id').where('org_id', 5)
+
+	expect(builder.select('name')).toBe('SELECT "id", "name" FROM "users" WHERE "org_id" = :p1')
+	expect(builder.select('name')).toBe('SELECT "id", "name" FROM "users" WHERE "org_id" = :p1')
+	expect(builder.getReplacements()).toEqual({ p1: 5 })
+})
+
+test('Replacements are those of the most recently generated statement', () => {
+	const builder = new QueryBuilder().table('users').where('org_id', 5)
+	expect(builder.getReplacements()).toEqual({})
+
+	builder.delete()
+	expect(builder.getReplacements()).toEqual({ p1: 5 })
+	expect(builder.where('role', 'admin').limit(5).getReplacements()).toEqual({ p1: 5 })
+	expect(builder.select()).toBe('SELECT FROM "users" WHERE ("org_id" = :p1 AND "role" = :p2) LIMIT 5')
+	expect(builder.getReplacements()).toEqual({ p1: 5, p2: 'admin' })
+})
+
+test('Cloned builders can be extended without affecting the original', () => {
+	const base = new QueryBuilder().table('users').where('org_id', 5)
+	const list = base.clone().order('name').limit(10)
+	const count = base.clone()
+
+	expect(list.select('id')).toBe('SELECT "id" FROM "users" WHERE "org_id" = :p1 ORDER BY "name" LIMIT 10')
+	expect(count.select(QB.Fn('count', QB.Column('*')))).toBe('SELECT count(*) FROM "users" WHERE "org_id" = :p1')
+	expect(base.select('*')).toBe('SELECT * FROM "users" WHERE "org_id" = :p1')
+})
+
+test('Immutable builders return a new builder from every chained method', () => {
+	const base = new QueryBuilder({ immutable: true }).table('users').where('org_id', 5)
+	const active = base.paranoid()
+	const admins = active.where('role', 'admin')
+
+	expect(active).not.toBe(base)
+	expect(base.select('id')).toBe('SELECT "id" FROM "users" WHERE "org_id" = :p1')
+	expect(active.select('id')).toBe('SELECT "id" FROM "users" WHERE ("org_id" = :p1 AND "deleted_at" IS NULL)')
+	expect(admins.select('id')).toBe('SELECT "id" FROM "users" WHERE ("org_id" = :p1 AND "deleted_at" IS NULL AND "role" = :p2)')
+	expect(admins.getReplacements()).toEqual({ p1: 5, p2: 'admin' })
+})
+
+test('Prepends common table expressions and merges their replacements', () => {
+	const builder = new QueryBuilder()
+	const sql = builder
+		.with('active_users', sub => sub.table('users').where('status', 'active').select('id', 'org_id'))
+		.with('big_orgs', new QueryBuilder().table('orgs').where('size', 100, '>').property('id'), { materialized: false })
+		.table('active_users')
+		.join('big_orgs', QB.Where('big_orgs.id', QB.Column('active_users.org_id')))
+		.select('active_users.id')
+
+	expect(sql).toBe([
+		'WITH "active_users" AS (SELECT "id", "org_id" FROM "users" WHERE "status" = :p1),',
+		'"big_orgs" AS NOT MATERIALIZED (SELECT "id" FROM "orgs" WHERE "size" > :p2)',
+		'SELECT "active_users"."id" FROM "active_users" JOIN "big_orgs" ON "big_orgs"."id" = "active_users"."org_id"',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'active', p2: 100 })
+})
+
+test('Generates a recursive common table expression from a union', () => {
+	const builder = new QueryBuilder()
+	const sql = builder
+		.with('tree', QB.UnionAll(
+			anchor => anchor.table('comments').where('id', 7).select('id', 'parent_id'),
+			recursive => recursive.table('comments')
+				.join('tree', QB.Where('comments.parent_id', QB.Column('tree.id')))
+				.select('comments.id', 'comments.parent_id')
+		), { recursive: true, columns: ['id', 'parent_id'] })
+		.table('tree')
+		.where('id', 7, '<>')
+		.select('id')
+
+	expect(sql).toBe([
+		'WITH RECURSIVE "tree" ("id", "parent_id") AS (SELECT "id", "parent_id" FROM "comments" WHERE "id" = :p1',
+		'UNION ALL SELECT "comments"."id", "comments"."parent_id" FROM "comments" JOIN "tree" ON "comments"."parent_id" = "tree"."id")',
+		'SELECT "id" FROM "tree" WHERE "id" <> :p2',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 7, p2: 7 })
+})
+
+test('Filters grouped rows with a HAVING clause', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('orders')
+		.where('status', 'paid')
+		.groupBy('customer_id')
+		.having(QB.Fn('count', QB.Column('*')), 5, '>')
+		.having(QB.Or(QB.Where(QB.Fn('sum', QB.Column('total')), 1000, '>='), QB.Where(QB.Fn('bool_or', QB.Column('vip')), null, null)))
+		.order('customer_id')
+		.select('customer_id')
+
+	expect(sql).toBe([
+		'SELECT "customer_id" FROM "orders" WHERE "status" = :p1 GROUP BY customer_id',
+		'HAVING (count(*) > :p2 AND (sum("total") >= :p3 OR bool_or("vip"))) ORDER BY "customer_id"',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'paid', p2: 5, p3: 1000 })
+})
+
+test('Quotes ORDER BY columns and validates sort directions', () => {
+	const sql = new QueryBuilder().table('users')
+		.order('users.created_at', 'desc', { nulls: 'last' })
+		.order(QB.Order(QB.Fn('lower', QB.Column('name'))), QB.Order('id', 'ASC'))
+		.select('id')
+
+	expect(sql).toBe('SELECT "id" FROM "users" ORDER BY "users"."created_at" DESC NULLS LAST, lower("name"), "id" ASC')
+	expect(() => new QueryBuilder().order('created_at', 'DESC; DROP TABLE users')).toThrow(TypeError)
+	expect(() => new QueryBuilder().order('created_at', 'ASC', { nulls: 'sometimes' })).toThrow(TypeError)
+})
+
+test('Rejects the raw ORDER BY clauses accepted by earlier versions', () => {
+	expect(() => new QueryBuilder().order('created_at DESC'))
+		.toThrow('Can not order by the clause "created_at DESC"; call order(column, direction) once for each column')
+	expect(() => new QueryBuilder().order('name, created_at')).toThrow(TypeError)
+	expect(() => new QueryBuilder().order('lower(name)')).toThrow(TypeError)
+	expect(() => new QueryBuilder().order('a', 'b'))
+		.toThrow('Invalid sort direction "b"; call order(column, direction) once for each column')
+	expect(new QueryBuilder().table('users').order(QB.Raw('created_at DESC')).select('id'))
+		.toBe('SELECT "id" FROM "users" ORDER BY created_at DESC')
+})
+
+test('Maps user supplied sort keys through an allow-list', () => {
+	const sql = new QueryBuilder().table('users')
+		.order(...QB.OrderFromInput('-created, name', { created: 'users.created_at', name: QB.Fn('lower', QB.Column('name')) }))
+		.select('id')
+
+	expect(sql).toBe('SELECT "id" FROM "users" ORDER BY "users"."created_at" DESC, lower("name") ASC')
+	expect(QB.OrderFromInput('id', ['id'])[0].toSql()).toBe('"id" ASC')
+	expect(() => QB.OrderFromInput('password', ['id', 'name'])).toThrow()
+})
+
+test('Escapes double quotes in identifiers', () => {
+	const sql = new QueryBuilder().table('us"ers').where('na"me', QB.Null(), 'IS').select('public.i"d')
+
+	expect(sql).toBe('SELECT "public"."i""d" FROM "us""ers" WHERE "na""me" IS NULL')
+})
+
+test('Hardened builders reject unknown operators', () => {
+	const builder = new QueryBuilder({ hardened: true }).table('users')
+
+	expect(() => builder.where('id', 1, '= 1 OR 1 =')).toThrow(TypeError)
+	expect(() => builder.where(QB.Or(QB.Where('id', 1), QB.Where('id', 2, '; --')))).toThrow(TypeError)
+	expect(() => builder.join('orgs', QB.Where('orgs.id', QB.Column('users.org_id'), '=--'))).toThrow(TypeError)
+	expect(builder.where('name', 'foo', 'not  ilike').where('deleted_at', QB.Null(), 'IS').select('id'))
+		.toBe('SELECT "id" FROM "users" WHERE ("name" not  ilike :p1 AND "deleted_at" IS NULL)')
+})
+
+test('Hardened builders require integer limits and offsets or bound values', () => {
+	const builder = new QueryBuilder({ hardened: true }).table('users')
+
+	expect(() => builder.limit('10; DELETE FROM users')).toThrow(TypeError)
+	expect(() => builder.offset(-1)).toThrow(TypeError)
+	expect(() => builder.limit(1.5)).toThrow(TypeError)
+	expect(builder.limit(10).offset(QB.Literal(20)).select('id')).toBe('SELECT "id" FROM "users" LIMIT 10 OFFSET :p1')
+	expect(builder.getReplacements()).toEqual({ p1: 20 })
+})
+
+test('Hardening can be enabled for every builder, including nested ones', () => {
+	QB.defaults.hardened = true
+	try {
+		expect(() => new QueryBuilder().table('users')
+			.where('id', QB.SubSelect(sub => sub.table('admins').where('level', 3, 'OR TRUE').select('id')), 'IN')).toThrow(TypeError)
+	} finally {
+		QB.defaults.hardened = false
+	}
+})
+
+test('Hardened builders check nested queries, conflict conditions and grouping', () => {
+	const builder = new QueryBuilder({ hardened: true }).table('users')
+	const unsafe = sub => sub.table('admins').where('level', 3, 'OR 1=1 --').select('id')
+
+	expect(() => builder.where('id', QB.SubSelect(unsafe), 'IN')).toThrow('Unsafe or unknown operator "OR 1=1 --"')
+	expect(() => builder.where(QB.Exists(unsafe))).toThrow(TypeError)
+	expect(() => builder.with('admins', unsafe)).toThrow(TypeError)
+	expect(() => builder.insert(unsafe)).toThrow(TypeError)
+	expect(() => builder.onConflict('id', { update: ['name'], where: QB.Where('id', 1, '; DROP') })).toThrow(TypeError)
+	expect(() => builder.groupBy('name; DROP TABLE users')).toThrow(TypeError)
+
+	const grouped = builder.with('recent', sub => {
+		expect(sub._hardened).toBe(true)
+		return sub.table('logins').select('user_id')
+	}).groupBy('users.org_id', 1, QB.Fn('lower', QB.Column('name')))
+	expect(grouped.select('org_id')).toBe([
+		'WITH "recent" AS (SELECT "user_id" FROM "logins") SELECT "org_id" FROM "users"',
+		'GROUP BY users.org_id, 1, lower("name")',
+	].join(' '))
+})
+
+test('In and NotIn bind lists as a single array or use a subselect', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where(QB.In('role', ['admin', 'owner']))
+		.where(QB.NotIn('id', QB.SubSelect(sub => sub.table('bans').select('user_id'))))
+		.where(QB.NotIn('status', ['deleted']))
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "users" WHERE ("role" = ANY(:p1) AND "id" NOT IN (SELECT "user_id" FROM "bans")',
+		'AND "status" <> ALL(:p2))',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: ['admin', 'owner'], p2: ['deleted'] })
+	expect(new QueryBuilder().table('users').where(QB.In('id', [1, 2, 3])).compile('select', { style: 'positional' }, 'id'))
+		.toEqual({ text: 'SELECT "id" FROM "users" WHERE "id" = ANY($1)', values: [ [1, 2, 3] ] })
+	expect(new QueryBuilder().table('users').where(QB.In('id', [])).select('id')).toBe('SELECT "id" FROM "users" WHERE "id" = ANY(:p1)')
+})
+
+test('The Sequelize adapter passes lists as array literals so they are valid once interpolated', async() => {
+	// Formats named replacements in the same way as Sequelize, which expands arrays into a comma separated list
+	const escape = value => {
+		if (Array.isArray(value)) {
+			return value.map(escape).join(', ')
+		}
+		return `'${ String(value).replace(/'/g, '\'\'') }'`
+	}
+	const sequelize = {
+		query: jest.fn((text, { replacements }) => {
+			const sql = text.replace(/:+(?!\d)(\w+)/g, (match, key) => escape(replacements[key]))
+			return Promise.resolve([ [ { sql } ] ])
+		}),
+	}
+	const builder = new QueryBuilder().table('users')
+		.where({ role: ['admin', 'owner'] })
+		.where(QB.NotIn('status', ['deleted', 'banned']))
+
+	await expect(builder.run(QB.SequelizeAdapter(sequelize), 'select', 'id')).resolves.toEqual([ {
+		sql: 'SELECT "id" FROM "users" WHERE ("role" = ANY(\'{"admin","owner"}\') AND "status" <> ALL(\'{"deleted","banned"}\'))',
+	} ])
+})
+
+test('Between, IsNull and IsNotNull predicates combine with And and Or', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('orders')
+		.where(QB.Or(
+			QB.And(QB.Between('total', 10, 20), QB.IsNull('refunded_at')),
+			QB.IsNotNull('priority_at')
+		))
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "orders"',
+		'WHERE (("total" BETWEEN :p1 AND :p2 AND "refunded_at" IS NULL) OR "priority_at" IS NOT NULL)',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 10, p2: 20 })
+})
+
+test('Like and ILike escape wildcards when matching user input', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where(QB.ILike('name', '50%_off\\', { match: 'contains' }))
+		.where(QB.Like('email', '%@example.com'))
+		.select('id')
+
+	expect(sql).toBe('SELECT "id" FROM "users" WHERE ("name" ILIKE :p1 AND "email" LIKE :p2)')
+	expect(builder.getReplacements()).toEqual({ p1: '%50\\%\\_off\\\\%', p2: '%@example.com' })
+	expect(() => QB.Like('name', 'foo', { match: 'anywhere' })).toThrow(TypeError)
+})
+
+test('Exists and Not wrap subqueries and conditions', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where(QB.Exists(sub => sub.table('orders').where('orders.user_id', QB.Column('users.id')).select(QB.Raw('1'))))
+		.where(QB.Not(QB.Or(QB.Where('role', 'admin'), QB.IsNull('email'))))
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "users" WHERE (EXISTS (SELECT 1 FROM "orders" WHERE "orders"."user_id" = "users"."id")',
+		'AND NOT (("role" = :p1 OR "email" IS NULL)))',
+	].join(' '))
+})
+
+test('Converts filter objects into grouped conditions', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where({ status: 'active', org_id: 5, deleted_at: null, role: ['admin', 'owner'], created_at: QB.Fn('now') })
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "users" WHERE ("status" = :p1 AND "org_id" = :p2 AND "deleted_at" IS NULL',
+		'AND "role" = ANY(:p3) AND "created_at" = now())',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'active', p2: 5, p3: ['admin', 'owner'] })
+	expect(new QueryBuilder().table('users').where({}).select('id')).toBe('SELECT "id" FROM "users"')
+})
+
+test('Filter objects support $or groups and operator keys', () => {
+	const condition = QB.Where.from({
+		age: { $gte: 18, $lt: 65 },
+		$or: [
+			{ email: { $ilike: '%@example.com' } },
+			{ verified_at: { $ne: null } },
+		],
+	})
+
+	expect(condition.toSql().replace(/:\w+/g, '?'))
+		.toBe('(("age" >= ? AND "age" < ?) AND ("email" ILIKE ? OR "verified_at" IS NOT NULL))')
+	expect(Object.values(condition.getReplacements())).toEqual([18, 65, '%@example.com'])
+	expect(() => QB.Where.from({ age: { $near: 5 } })).toThrow(TypeError)
+})
+
+test('Filter objects reject undefined values and empty operator objects', () => {
+	const builder = new QueryBuilder().table('users')
+	const { missing } = {}
+
+	expect(() => builder.where({ status: missing })).toThrow('Filter value for column "status" is undefined')
+	expect(() => builder.where({ age: { $gte: missing } })).toThrow('Filter value for operator "$gte" of column "age" is undefined')
+	expect(() => builder.where({ age: {} })).toThrow('Filter for column "age" must contain at least one operator')
+	expect(() => builder.where({ age: {}, status: 'active' })).toThrow(TypeError)
+	expect(() => QB.Where.from({ $or: [ { status: missing } ] })).toThrow(TypeError)
+	expect(builder.select()).toBe('SELECT FROM "users"')
+})
+
+test('Keyset pagination compares rows after the cursor and fetches one extra row', () => {
+	const orderBy = [ ['created_at', 'DESC'], ['id', 'DESC'] ]
+	const cursor = QB.encodeCursor({ id: 41, created_at: '2019-06-01T00:00:00.000Z' }, orderBy)
+	const builder = new QueryBuilder()
+	const sql = builder.table('posts').paginateAfter(cursor, { orderBy, pageSize: 20 }).select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "posts" WHERE ("created_at", "id") < (:p1, :p2)',
+		'ORDER BY "created_at" DESC, "id" DESC LIMIT 21',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: '2019-06-01T00:00:00.000Z', p2: 41 })
+	expect(new QueryBuilder().table('posts').paginateAfter(null, { orderBy, pageSize: '20' }).select('id'))
+		.toBe('SELECT "id" FROM "posts" ORDER BY "created_at" DESC, "id" DESC LIMIT 21')
+	expect(() => new QueryBuilder().table('posts').paginateAfter(null, { orderBy, pageSize: '20 OFFSET 5' })).toThrow(TypeError)
+	expect(() => new QueryBuilder().table('posts').paginateAfter(null, { orderBy, pageSize: 0 })).toThrow(TypeError)
+	expect(() => new QueryBuilder().table('posts').order('title').paginateAfter(null, { orderBy }))
+		.toThrow('Can not paginate a query that is already ordered')
+})
+
+test('Keyset pagination expands mixed sort directions', () => {
+	const sql = new QueryBuilder().table('users')
+		.paginateAfter(['foo', 7], { orderBy: ['users.name', { column: 'id', direction: 'desc' } ] })
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "users" WHERE ("users"."name" > :p1 OR ("users"."name" = :p2 AND "id" < :p3))',
+		'ORDER BY "users"."name" ASC, "id" DESC',
+	].join(' '))
+})
+
+test('Keyset pages are split from the extra row with a cursor for the next page', () => {
+	const orderBy = ['id']
+	const { rows, next } = QB.keysetPage([ { id: 1 }, { id: 2 }, { id: 3 } ], { orderBy, pageSize: 2 })
+
+	expect(rows).toEqual([ { id: 1 }, { id: 2 } ])
+	expect(QB.decodeCursor(next)).toEqual([2])
+	expect(QB.keysetPage([ { id: 3 } ], { orderBy, pageSize: 2 }).next).toBe(null)
+	expect(() => QB.decodeCursor('not a cursor')).toThrow(TypeError)
+})
+
+test('Derives a COUNT query that ignores fields, ordering and pagination', () => {
+	const builder = new QueryBuilder().table('users')
+		.join('orgs', QB.Where('orgs.id', QB.Column('users.org_id')))
+		.where('orgs.name', 'foo')
+		.property('users.id')
+		.order('users.name')
+		.limit(10)
+		.offset(20)
+
+	expect(builder.count()).toBe('SELECT count(*) FROM "users" JOIN "orgs" ON "orgs"."id" = "users"."org_id" WHERE "orgs"."name" = :p1')
+	expect(builder.getReplacements()).toEqual({ p1: 'foo' })
+	expect(builder.count({ distinct: true, column: 'users.email' }))
+		.toBe('SELECT count(DISTINCT "users"."email") FROM "users" JOIN "orgs" ON "orgs"."id" = "users"."org_id" WHERE "orgs"."name" = :p1')
+	expect(builder.select()).toBe([
+		'SELECT "users"."id" FROM "users" JOIN "orgs" ON "orgs"."id" = "users"."org_id" WHERE "orgs"."name" = :p1',
+		'ORDER BY "users"."name" LIMIT 10 OFFSET 20',
+	].join(' '))
+})
+
+test('Counts the groups of a grouped query', () => {
+	const builder = new QueryBuilder().table('orders')
+		.where('status', 'paid')
+		.groupBy('customer_id')
+		.having(QB.Fn('count', QB.Column('*')), 5, '>')
+
+	expect(builder.count()).toBe([
+		'SELECT count(*) FROM (SELECT 1 FROM "orders" WHERE "status" = :p1 GROUP BY customer_id',
+		'HAVING count(*) > :p2) AS "counted"',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'paid', p2: 5 })
+	expect(() => builder.count({ column: 'customer_id' })).toThrow(TypeError)
+})
+
+test('Generates DISTINCT and DISTINCT ON selections', () => {
+	expect(new QueryBuilder().table('users').distinct().property('org_id').select('role'))
+		.toBe('SELECT DISTINCT "org_id", "role" FROM "users"')
+
+	const sql = new QueryBuilder().table('events')
+		.distinctOn('user_id', QB.Fn('date', QB.Column('created_at')))
+		.order(QB.Fn('date', QB.Column('created_at')))
+		.order('user_id')
+		.order('created_at', 'DESC')
+		.select('*')
+
+	expect(sql).toBe([
+		'SELECT DISTINCT ON ("user_id", date("created_at")) * FROM "events"',
+		'ORDER BY date("created_at"), "user_id", "created_at" DESC',
+	].join(' '))
+})
+
+test('Rejects DISTINCT ON without a matching ORDER BY prefix', () => {
+	const builder = new QueryBuilder().table('events').distinctOn('user_id').order('created_at', 'DESC')
+
+	expect(() => builder.select('*')).toThrow()
+	expect(() => new QueryBuilder().table('events').distinctOn('user_id', 'kind').order('user_id').order('created_at').select('*'))
+		.toThrow('DISTINCT ON expressions must match the leftmost ORDER BY expressions')
+	expect(new QueryBuilder().table('events').distinctOn('user_id', 'kind').order('user_id').select('*'))
+		.toBe('SELECT DISTINCT ON ("user_id", "kind") * FROM "events" ORDER BY "user_id"')
+	expect(new QueryBuilder().table('events').distinctOn('user_id').count())
+		.toBe('SELECT count(*) FROM (SELECT DISTINCT ON ("user_id") * FROM "events") AS "counted"')
+})
+
+test('Window functions can be partitioned, ordered and aliased', () => {
+	const sql = new QueryBuilder().table('orders')
+		.select(
+			'id',
+			QB.Select(QB.Over(QB.Fn('row_number'), { partitionBy: ['customer_id'], orderBy: [ ['created_at', 'DESC'] ] }), 'position'),
+			QB.Select(QB.Over(QB.Fn('lag', QB.Column('total')), { orderBy: ['created_at'] }), 'previous_total')
+		)
+
+	expect(sql).toBe([
+		'SELECT "id", row_number() OVER (PARTITION BY "customer_id" ORDER BY "created_at" DESC) as position,',
+		'lag("total") OVER (ORDER BY "created_at") as previous_total FROM "orders"',
+	].join(' '))
+})
+
+test('Window frames are validated and named windows are declared in a WINDOW clause', () => {
+	const sql = new QueryBuilder().table('orders')
+		.window('by_customer', { partitionBy: ['customer_id'], orderBy: ['created_at'] })
+		.order('id')
+		.select(
+			QB.Select(QB.Over(QB.Fn('sum', QB.Column('total')), 'by_customer'), 'running_total'),
+			QB.Select(QB.Over(QB.Fn('avg', QB.Column('total')), {
+				window: 'by_customer',
+				frame: { type: 'rows', start: { preceding: 2 }, end: 'current row', exclude: 'ties' },
+			}), 'moving_average')
+		)
+
+	expect(sql).toBe([
+		'SELECT sum("total") OVER "by_customer" as running_total,',
+		'avg("total") OVER ("by_customer" ROWS BETWEEN 2 PRECEDING AND CURRENT ROW EXCLUDE TIES) as moving_average',
+		'FROM "orders" WINDOW "by_customer" AS (PARTITION BY "customer_id" ORDER BY "created_at") ORDER BY "id"',
+	].join(' '))
+	expect(() => QB.Window({ frame: { type: 'ROWS', start: { preceding: -1 } } })).toThrow(TypeError)
+	expect(() => QB.Window({ frame: { type: 'ROWS; DROP', start: 'CURRENT ROW' } })).toThrow(TypeError)
+})
+
+test('Window frame offsets can be bound values', () => {
+	const builder = new QueryBuilder().table('orders')
+		.where('status', 'paid')
+		.window('recent', { orderBy: ['id'], frame: { start: { preceding: QB.Literal(5) } } })
+	const sum = QB.Over(QB.Fn('sum', QB.Column('total')), {
+		orderBy: ['id'],
+		frame: { start: { preceding: QB.Literal(3) }, end: 'CURRENT ROW' },
+	})
+
+	expect(builder.select(QB.Select(sum, 'total'))).toBe([
+		'SELECT sum("total") OVER (ORDER BY "id" ROWS BETWEEN :p1 PRECEDING AND CURRENT ROW) as total FROM "orders"',
+		'WHERE "status" = :p2 WINDOW "recent" AS (ORDER BY "id" ROWS :p3 PRECEDING)',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 3, p2: 'paid', p3: 5 })
+	expect(Object.values(sum.getReplacements())).toEqual([3])
+})
+
+test('JSON field access can be selected, cast, filtered and ordered', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where(QB.Cast(QB.JsonGet('profile', 'age', { text: true }), 'INTEGER'), 18, '>=')
+		.order(QB.JsonGet('profile', ['address', 'city'], { text: true }))
+		.select(
+			'id',
+			QB.Select(QB.JsonGet('profile', ['tags', 0]), 'first_tag'),
+			QB.Select(QB.JsonPath('profile', ['address', 'zip'], { text: true }), 'zip')
+		)
+
+	expect(sql).toBe([
+		'SELECT "id", ("profile"->:p1->0) as first_tag, ("profile" #>> :p2::text[]) as zip FROM "users"',
+		'WHERE ("profile"->>:p3)::INTEGER >= :p4 ORDER BY ("profile"->:p5->>:p6)',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'tags', p2: '{"address","zip"}', p3: 'age', p4: 18, p5: 'address', p6: 'city' })
+})
+
+test('JSON containment and key checks bind their values', () => {
+	const builder = new QueryBuilder()
+	const sql = builder.table('users')
+		.where(QB.JsonContains('profile', { roles: ['admin'] }))
+		.where(QB.JsonContainedBy(QB.JsonGet('profile', 'flags'), { beta: true, legacy: false }))
+		.where(QB.JsonHasKey('profile', 'email'))
+		.where(QB.JsonHasAnyKey('profile', ['phone', 'mobile']))
+		.where(QB.JsonHasAllKeys('profile', ['first"name', 'last_name']))
+		.where(QB.JsonPathExists('profile', '$.tags[*] ? (@ == $tag)', { tag: 'vip' }))
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "users" WHERE ("profile" @> :p1::jsonb AND ("profile"->:p2) <@ :p3::jsonb AND "profile" ? :p4',
+		'AND "profile" ?| :p5::text[] AND "profile" ?& :p6::text[] AND jsonb_path_exists("profile", :p7::jsonpath, :p8::jsonb))',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({
+		p1: '{"roles":["admin"]}',
+		p2: 'flags',
+		p3: '{"beta":true,"legacy":false}',
+		p4: 'email',
+		p5: '{"phone","mobile"}',
+		p6: '{"first\\"name","last_name"}',
+		p7: '$.tags[*] ? (@ == $tag)',
+		p8: '{"tag":"vip"}',
+	})
+})
+
+test('Full text search matches, ranks and highlights documents', () => {
+	const options = { config: 'english' }
+	const builder = new QueryBuilder()
+	const sql = builder.table('articles')
+		.where(QB.TextSearch('body', 'quick "brown fox" -dog', options))
+		.order('rank', 'DESC')
+		.select(
+			'id',
+			QB.Select(QB.TsRank('body', 'quick "brown fox" -dog', options), 'rank'),
+			QB.Select(QB.TsHeadline('body', 'quick "brown fox" -dog', { ...options, headline: { MaxWords: 20 } }), 'excerpt')
+		)
+
+	expect(sql).toBe([
+		'SELECT "id", ts_rank(to_tsvector(:p1, "body"), websearch_to_tsquery(:p2, :p3)) as rank,',
+		'ts_headline(:p4, "body", websearch_to_tsquery(:p5, :p6), :p7) as excerpt FROM "articles"',
+		'WHERE to_tsvector(:p8, "body") @@ websearch_to_tsquery(:p9, :p10) ORDER BY "rank" DESC',
+	].join(' '))
+	expect(builder.getReplacements()).toMatchObject({ p1: 'english', p3: 'quick "brown fox" -dog', p7: 'MaxWords=20' })
+})
+
+test('Text search can reuse a stored vector and a shared query', () => {
+	const query = QB.TsQuery('brown fox', { parser: 'plain' })
+	const builder = new QueryBuilder()
+	const sql = builder.table('articles')
+		.where(QB.TextSearch(QB.Column('search_vector'), query))
+		.order(QB.TsRank(QB.Column('search_vector'), query, { cover: true, normalization: 32 }), 'DESC')
+		.select('id')
+
+	expect(sql).toBe([
+		'SELECT "id" FROM "articles" WHERE "search_vector" @@ plainto_tsquery(:p1)',
+		'ORDER BY ts_rank_cd("search_vector", plainto_tsquery(:p1), :p2) DESC',
+	].join(' '))
+	expect(builder.getReplacements()).toEqual({ p1: 'brown fox', p2: 32 })
+	expect(() => QB.TsQuery('fox', { parser: 'regex' })).toThrow(TypeError)
+})
+
+test('Runs statements through an adapter in its placeholder style', async() => {
+	const adapter = QB.MemoryAdapter({ style: 'positional' }).respond([ { id: 1 }, { id: 2 } ]).respond([]).respond([ { count: 2 } ])
+	const builder = new QueryBuilder().table('users').where('org_id', 5)
+
+	await expect(builder.run(adapter, 'select', 'id')).resolves.toEqual([ { id: 1 }, { id: 2 } ])
+	await expect(builder.run(adapter, 'update', { active: false })).resolves.toEqual([])
+	await expect(builder.run(adapter, 'count')).resolves.toEqual([ { count: 2 } ])
+	expect(adapter.queries).toEqual([
+		{ text: 'SELECT "id" FROM "users" WHERE "org_id" = $1', values: [5] },
+		{ text: 'UPDATE "users" SET "active" = $1 WHERE "org_id" = $2', values: [false, 5] },
+		{ text: 'SELECT count(*) FROM "users" WHERE "org_id" = $1', values: [5] },
+	])
+})
+
+test('Fetches the first matching row without modifying the builder', async() => {
+	const adapter = QB.MemoryAdapter().respond([ { id: 1 } ]).respond([])
+	const builder = new QueryBuilder().table('users').where('email', 'foo@example.com')
+
+	await expect(builder.first(adapter, '*')).resolves.toEqual({ id: 1 })
+	await expect(builder.first(adapter, '*')).resolves.toBe(null)
+	expect(adapter.queries[0]).toEqual({ text: 'SELECT * FROM "users" WHERE "email" = :p1 LIMIT 1', values: { p1: 'foo@example.com' } })
+	expect(builder.select('*')).toBe('SELECT * FROM "users" WHERE "email" = :p1')
+})
+
+test('Built in adapters pass compiled queries to their drivers', async() => {
+	const sequelize = { query: jest.fn(() => Promise.resolve([ [ { id: 1 } ], {} ])) }
+	const client = { query: jest.fn(() => Promise.resolve({ rows: [ { id: 2 } ] })) }
+	const builder = new QueryBuilder().table('users').where('id', 7)
+
+	await expect(builder.run(QB.SequelizeAdapter(sequelize, { logging: false }), 'delete')).resolves.toEqual([ { id: 1 } ])
+	await expect(builder.run(QB.PgAdapter(client), 'select', 'id')).resolves.toEqual([ { id: 2 } ])
+	expect(sequelize.query).toHaveBeenCalledWith('DELETE FROM "users" WHERE "id" = :p1', { logging: false, replacements: { p1: 7 } })
+	expect(client.query).toHaveBeenCalledWith({ text: 'SELECT "id" FROM "users" WHERE "id" = $1', values: [7] })
+	await expect(builder.run(null)).rejects.toThrow(TypeError)
+})
+
+test('The Sequelize adapter always reads rows from a raw query', async() => {
+	// Sequelize returns the rows themselves for a SELECT query, and a [results, metadata] pair otherwise
+	const rows = [ { id: 1 }, { id: 2 } ]
+	const sequelize = { query: jest.fn((text, { type }) => Promise.resolve(type === 'SELECT' ? rows : [rows, {} ])) }
+	const adapter = QB.SequelizeAdapter(sequelize, { type: 'SELECT', logging: false })
+
+	await expect(new QueryBuilder().table('users').run(adapter, 'select', 'id')).resolves.toEqual(rows)
+	expect(sequelize.query).toHaveBeenCalledWith('SELECT "id" FROM "users"', { logging: false, replacements: {} })
+})
+
+test('Rejects columns that are not declared by a table schema', () => {
+	const users = QB.Table('users', { id: { type: 'uuid', nullable: false }, name: 'text', org_id: 'integer' })
+	const builder = new QueryBuilder().table(users).where('org_id', 5)
+
+	expect(builder.select('id', QB.Select(QB.Fn('lower', QB.Column('users.name')), 'label'))).toBe(
+		'SELECT "id", lower("users"."name") as label FROM "users" WHERE "org_id" = :p1'
+	)
+	expect(() => builder.clone().property('nmae').select()).toThrow('Unknown column "nmae" for table "users"')
+	expect(() => builder.clone().where(QB.Where('users.orgid', 5)).delete()).toThrow(Error)
+	expect(() => builder.update({ name: 'Foo', emial: 'foo@example.com' })).toThrow(Error)
+	expect(() => builder.update({ id: null })).toThrow(TypeError)
+})
+
+test('Only checks unqualified columns of a schema bound query without joins', () => {
+	const users = QB.Table('users', { id: 'integer', org_id: 'integer' })
+	const sql = new QueryBuilder().table(users)
+		.join('orgs', QB.Where('orgs.id', QB.Column('users.org_id')))
+		.order('org_name')
+		.select('users.id', 'orgs.name')
+
+	expect(sql).toBe([
+		'SELECT "users"."id", "orgs"."name" FROM "users" JOIN "orgs" ON "orgs"."id" = "users"."org_id"',
+		'ORDER BY "org_name"',
+	].join(' '))
+	expect(() => new QueryBuilder().table(users).order('org_name').select('id')).toThrow(Error)
+})
+
+test('Casts values bound for columns that require it', () => {
+	const users = QB.Table('users', { id: 'integer', settings: 'jsonb', tags: 'text[]', role: { type: 'user_role', cast: true } })
+	const inserted = new QueryBuilder().table(users)
+	const builder = new QueryBuilder().table(users).where('role', 'admin')
+
+	expect(inserted.insert({ settings: { theme: 'dark' }, tags: ['a', 'b'], role: 'admin' })).toBe(
+		'INSERT INTO "users" ("settings", "tags", "role") VALUES (:p1::jsonb, :p2::text[], :p3::user_role)'
+	)
+	expect(inserted.getReplacements()).toEqual({ p1: '{"theme":"dark"}', p2: '{"a","b"}', p3: 'admin' })
+	expect(builder.update({ id: 4 })).toBe('UPDATE "users" SET "id" = :p1 WHERE "role" = :p2::user_role')
+
+	const filtered = new QueryBuilder().table(users).where({ settings: { $eq: { theme: 'dark' } }, $or: [ { role: 'admin' }, { id: 4 } ] })
+	expect(filtered.select('id'))
+		.toBe('SELECT "id" FROM "users" WHERE ("settings" = :p1::jsonb AND ("role" = :p2::user_role OR "id" = :p3))')
+	expect(filtered.getReplacements()).toEqual({ p1: '{"theme":"dark"}', p2: 'admin', p3: 4 })
+})
+
+test('Inlines replacements as escaped literals for debugging', () => {
+	const builder = new QueryBuilder().table('events')
+		.where('name', 'O\'Brien\\')
+		.where(QB.In('id', [1, 2]))
+		.where('active', true)
+		.where('created_at', new Date(Date.UTC(2020, 0, 1)), '>')
+		.where(QB.JsonContains('payload', { tags: ['a'] }))
+		.where('deleted_at', QB.Null(), 'IS')
+
+	expect(builder.toDebugString()).toBe([
+		'SELECT FROM "events" WHERE ("name" = \'O\'\'Brien\\\' AND "id" = ANY(ARRAY[1, 2]) AND "active" = TRUE',
+		'AND "created_at" > \'2020-01-01T00:00:00.000Z\' AND "payload" @> \'{"tags":["a"]}\'::jsonb AND "deleted_at" IS NULL)',
+	].join(' '))
+	expect(builder.getReplacements()).toMatchObject({ p1: 'O\'Brien\\', p2: [1, 2] })
+})
+
+test('Redacts values bound for sensitive columns', () => {
+	const builder = new QueryBuilder().table('users')
+		.where('email', 'foo@example.com')
+		.where(QB.Or(QB.Where('password', 'hunter2'), QB.Where('users.api_token', 'abc')))
+
+	expect(builder.toDebugString('update', { sensitive: ['password', /token$/] }, { password: 'secret', name: 'Foo' })).toBe([
+		'UPDATE "users" SET "password" = \'[REDACTED]\', "name" = \'Foo\'',
+		'WHERE ("email" = \'foo@example.com\' AND ("password" = \'[REDACTED]\' OR "users"."api_token" = \'[REDACTED]\'))',
+	].join(' '))
+	expect(new QueryBuilder().table('users').toDebugString('insert', {}, { name: 'Bar', password: 'secret' })).toBe(
+		'INSERT INTO "users" ("name", "password") VALUES (\'Bar\', \'[REDACTED]\')'
+	)
+
+	const crypt = new QueryBuilder().table('users')
+		.where(QB.Fn('crypt', 'secret', QB.Column('password')), QB.Column('password'))
+		.where(QB.Fn('lower', 'Foo'), QB.Column('users.api_token'))
+		.where('name', QB.Fn('lower', 'Foo'))
+	expect(crypt.toDebugString('select', { sensitive: ['password', /token$/] })).toBe([
+		'SELECT FROM "users" WHERE (crypt(\'[REDACTED]\', "password") = "password" AND lower(\'[REDACTED]\') = "users"."api_token"',
+		'AND "name" = lower(\'Foo\'))',
+	].join(' '))
+})
+
+test('Formats each clause of a statement on its own line', () => {
+	const builder = new QueryBuilder().table('users')
+		.join('orgs', QB.Where('orgs.id', QB.Column('users.org_id')))
+		.where('active', true)
+		.where(QB.Or(QB.Between('age', 18, 65), QB.In('id', QB.SubSelect(sub => sub.table('admins').select('user_id')))))
+		.order('name')
+		.limit(10)
+
+	expect(builder.toDebugString('select', { pretty: true }, 'users.id', 'orgs.name')).toBe([
+		'SELECT "users"."id", "orgs"."name"',
+		'FROM "users"',
+		'JOIN "orgs" ON "orgs"."id" = "users"."org_id"',
+		'WHERE (',
+		'  "active" = TRUE',
+		'  AND (',
+		'    "age" BETWEEN 18 AND 65',
+		'    OR "id" IN (',
+		'      SELECT "user_id"',
+		'      FROM "admins"',
+		'    )',
+		'  )',
+		')',
+		'ORDER BY "name"',
+		'LIMIT 10',
+	].join('\n'))
+	expect(QB.formatSql('SELECT 1 FROM "t" WHERE "a" = 1 AND "b" = 2', { indent: '\t' })).toBe(
+		'SELECT 1\nFROM "t"\nWHERE "a" = 1\n\tAND "b" = 2'
+	)
+})
+
+test('Recreates queries from their JSON descriptions', () => {
+	const builder = new QueryBuilder().table(QB.Table('users', { id: 'integer', org_id: 'integer', tags: 'text[]', name: 'text' }))
+		.with('active_orgs', sub => sub.table('orgs').where('active', true).select('id'))
+		.join(QB.InnerJoin('active_orgs', QB.Where('ao.id', QB.Column('users.org_id')), 'ao'))
+		.where(QB.Or(
+			QB.Where('tags', ['admin']),
+			QB.In('id', QB.SubSelect(sub => sub.table('owners').where('since', 2010, '>').select('user_id')))
+		))
+		.window('recent', { partitionBy: ['org_id'], orderBy: [QB.Order('id', 'desc')] })
+		.order('name')
+		.limit(5)
+	const copy = QB.fromJSON(JSON.parse(JSON.stringify(builder)))
+
+	expect(copy).toBeInstanceOf(QueryBuilder)
+	expect(copy.compile('select', {}, 'id', QB.Over(QB.Fn('row_number'), 'recent', 'position')))
+		.toEqual(builder.compile('select', {}, 'id', QB.Over(QB.Fn('row_number'), 'recent', 'position')))
+	expect(() => copy.select('users.unknown')).toThrow('Unknown column "unknown" for table "users"')
+
+	const upsert = new QueryBuilder().table('settings').onConflict(['key'], { update: ['value'] })
+	expect(QB.fromJSON(upsert.toJSON()).insert({ key: 'theme', value: 'dark' }))
+		.toBe(upsert.insert({ key: 'theme', value: 'dark' }))
+	expect(() => QB.fromJSON({ type: 'Unknown' })).toThrow(TypeError)
+})
+
+test('Checks descriptions loaded from JSON when hardened', () => {
+	const builder = new QueryBuilder().table('events')
+		.where('kind', 'login')
+		.window('recent', { orderBy: ['id'], frame: { start: { preceding: 1 }, end: 'CURRENT ROW' } })
+	const json = JSON.parse(JSON.stringify(builder))
+	expect(QB.fromJSON(json, { hardened: true }).select('id')).toBe(
+		'SELECT "id" FROM "events" WHERE "kind" = :p1 WINDOW "recent" AS (ORDER BY "id" ROWS BETWEEN 1 PRECEDING AND CURRENT ROW)'
+	)
+
+	const operator = JSON.parse(JSON.stringify(json))
+	operator.where[0].operator = '= 1 OR 1 ='
+	expect(() => QB.fromJSON(operator, { hardened: true })).toThrow('Unsafe or unknown operator "= 1 OR 1 ="')
+	expect(() => QB.fromJSON(Object.assign({}, operator, { options: { hardened: true } }))).toThrow(TypeError)
+
+	const frame = JSON.parse(JSON.stringify(json))
+	frame.window[0].window.frame = { type: 'Object', entries: { start: { type: 'Value', value: '1 PRECEDING); DROP TABLE events; --' } } }
+	expect(() => QB.fromJSON(frame)).toThrow(TypeError)
+
+	const fn = Object.assign(QB.Fn('lower', QB.Column('name')).toJSON(), { name: 'lower(1); DROP TABLE events; --' })
+	expect(() => QB.fromJSON(fn, { hardened: true })).toThrow('Unsafe function name')
+	const cast = Object.assign(QB.Cast('age', 'integer').toJSON(), { cast: 'integer; DROP TABLE events' })
+	expect(() => QB.fromJSON(cast, { hardened: true })).toThrow('Unsafe type name')
+
+	const fields = {
+		type: 'QueryBuilder',
+		table: { type: 'Value', value: 'events' },
+		select: [ { type: 'Value', value: '1; DROP TABLE events' }, { type: 'Value', value: '2' } ],
+		order: [ { type: 'Value', value: '1; DROP TABLE events --' } ],
+	}
+	const returning = {
+		type: 'QueryBuilder',
+		table: { type: 'Value', value: 'events' },
+		where: [QB.Where('id', 1).toJSON()],
+		returning: [ { type: 'Value', value: '*; DROP TABLE events --' } ],
+	}
+	expect(QB.fromJSON(fields, { hardened: true }).select())
+		.toBe('SELECT "1; DROP TABLE events", 2 FROM "events" ORDER BY "1; DROP TABLE events --"')
+	expect(QB.fromJSON(returning, { hardened: true }).delete())
+		.toBe('DELETE FROM "events" WHERE "id" = :p1 RETURNING "*; DROP TABLE events --"')
+	expect(QB.fromJSON(fields).select()).toBe('SELECT 1; DROP TABLE events, 2 FROM "events" ORDER BY 1; DROP TABLE events --')
+	const list = Object.assign({}, fields, { select: [ { type: 'Value', value: ['1; DROP TABLE events'] } ] })
+	expect(() => QB.fromJSON(list, { hardened: true })).toThrow('fields loaded hardened must be names or Sql objects')
+
+	const nested = new QueryBuilder().table('users')
+		.where(QB.In('id', QB.SubSelect(sub => sub.table('events').select('user_id'))))
+		.toJSON()
+	nested.where[0].right.query.builder.order = [ { type: 'Value', value: '1; DROP TABLE events --' } ]
+	expect(QB.fromJSON(nested, { hardened: true }).select())
+		.toBe('SELECT FROM "users" WHERE "id" IN (SELECT "user_id" FROM "events" ORDER BY "1; DROP TABLE events --")')
+
+	const raw = new QueryBuilder().table('events').where(QB.Raw('kind'), 'login').toJSON()
+	expect(() => QB.fromJSON(raw, { hardened: true })).toThrow('Can not load Raw SQL hardened unless the allowRaw option is given')
+	expect(() => QB.fromJSON(QB.Raw('1 = 1').toJSON(), { hardened: true })).toThrow(TypeError)
+	expect(QB.fromJSON(raw, { hardened: true, allowRaw: true }).select()).toBe('SELECT FROM "events" WHERE kind = :p1')
+})
+
+test('Visits every part of a query, including nested queries', () => {
+	const builder = new QueryBuilder().table('users')
+		.join(QB.LeftOuterJoin('orgs', QB.Where('orgs.id', QB.Column('users.org_id'))))
+		.where(QB.Exists(QB.SubSelect(sub => sub.table('sessions').where('sessions.user_id', QB.Column('users.id')).select('id'))))
+
+	const tables = []
+	builder.visit({
+		QueryBuilder: json => tables.push(json.table.value),
+		LeftOuterJoin: json => tables.push(json.table.name),
+	})
+	expect(tables).toEqual(['orgs', 'sessions', 'users'])
+
+	const types = new Set()
+	QB.visit(QB.Where('a', 1), json => types.add(json.type))
+	expect([...types]).toEqual(['Column', 'Value', 'Where'])
+})
+
+test('Transforms parts of a query into a new query', () => {
+	const builder = new QueryBuilder().table('users')
+		.join(QB.Join('orgs', QB.Where('orgs.id', QB.Column('users.org_id'))))
+		.join(QB.Join('teams', QB.Where('teams.id', QB.Column('users.team_id'))))
+		.where('active', true)
+
+	const scoped = builder.transform({
+		Join: json => QB.Join(json.table.name, QB.And(
+			QB.fromJSON(json.condition),
+			QB.Where(`${ json.table.name }.tenant_id`, 7)
+		)),
+	})
+
+	expect(scoped.select()).toBe([
+		'SELECT FROM "users"',
+		'JOIN "orgs" ON ("orgs"."id" = "users"."org_id" AND "orgs"."tenant_id" = :p1)',
+		'JOIN "teams" ON ("teams"."id" = "users"."team_id" AND "teams"."tenant_id" = :p2)',
+		'WHERE "active" = :p3',
+	].join(' '))
+	expect(scoped.getReplacements()).toEqual({ p1: 7, p2: 7, p3: true })
+	expect(builder.select()).toBe([
+		'SELECT FROM "users" JOIN "orgs" ON "orgs"."id" = "users"."org_id"',
+		'JOIN "teams" ON "teams"."id" = "users"."team_id" WHERE "active" = :p1',
+	].join(' '))
+	expect(QB.transform(QB.Column('a'), () => QB.Column('b')).toSql()).toBe('"b"')
+})
+
+test('Applies registered scopes to tables, joins and nested queries', () => {
+	let tenant = 7
+	QB.addScope('tenant', () => ({ org_id: tenant }), { tables: ['users', 'projects'] })
+	QB.addScope('live', ({ table, alias }) => QB.IsNull(`${ alias || table }.archived_at`), { tables: ['projects'] })
+	try {
+		const builder = new QueryBuilder().table('users')
+			.join(QB.LeftOuterJoin('projects', QB.Where('p.owner_id', QB.Column('users.id')), 'p'))
+			.where(QB.In('id', QB.SubSelect(sub => sub.table('projects').select('owner_id'))))
+
+		expect(builder.select('users.id')).toBe([
+			'SELECT "users"."id" FROM "users"',
+			'LEFT OUTER JOIN "projects" "p" ON ("p"."owner_id" = "users"."id" AND "p"."org_id" = :p1 AND "p"."archived_at" IS NULL)',
+			'WHERE ("id" IN (SELECT "owner_id" FROM "projects" WHERE ("projects"."org_id" = :p2 AND "projects"."archived_at" IS NULL))',
+			'AND "users"."org_id" = :p3)',
+		].join(' '))
+		expect(builder.getReplacements()).toEqual({ p1: 7, p2: 7, p3: 7 })
+
+		tenant = 8
+		expect(new QueryBuilder().table('users').where('id', 1).delete())
+			.toBe('DELETE FROM "users" WHERE ("id" = :p1 AND "users"."org_id" = :p2)')
+		expect(new QueryBuilder().table('users').count()).toBe('SELECT count(*) FROM "users" WHERE "users"."org_id" = :p1')
+		expect(new QueryBuilder().table('orgs').select()).toBe('SELECT FROM "orgs"')
+		expect(() => QB.addScope('tenant', { org_id: 1 }, { tables: ['users'] })).toThrow('Scope "tenant" has already been registered')
+	} finally {
+		QB.removeScope('tenant')
+		QB.removeScope('live')
+	}
+})
+
+test('Writes scoped values and limits conflict updates to scoped rows', () => {
+	QB.addScope('tenant', { org_id: 7 }, { tables: ['users', 'countries'] })
+	try {
+		const builder = new QueryBuilder().table('users').onConflict('email', { update: ['name'] })
+		const rows = [
+			{ email: 'a@example.com', name: 'A' },
+			{ email: 'b@example.com', org_id: 7 },
+		]
+		expect(builder.insert(rows)).toBe([
+			'INSERT INTO "users" ("email", "name", "org_id") VALUES (:p1, :p2, :p3), (:p4, DEFAULT, :p5)',
+			'ON CONFLICT ("email") DO UPDATE SET "name" = EXCLUDED."name" WHERE "users"."org_id" = :p6',
+		].join(' '))
+		expect(builder.getReplacements()).toEqual({ p1: 'a@example.com', p2: 'A', p3: 7, p4: 'b@example.com', p5: 7, p6: 7 })
+		expect(() => builder.insert({ email: 'c@example.com', org_id: 8 }))
+			.toThrow('Can not insert a value for "org_id" outside of the scope of the query')
+		expect(() => new QueryBuilder().table('users').where('id', 1).update({ org_id: 8 }))
+			.toThrow('Can not update a value for "org_id" outside of the scope of the query')
+		expect(() => builder.onConflict('email', { update: { org_id: 8 } }).insert({ email: 'c@example.com' }))
+			.toThrow('Can not update a value for "org_id" outside of the scope of the query')
+		expect(() => builder.onConflict('email', { update: ['name', 'org_id'] }).insert({ email: 'c@example.com' }))
+			.toThrow('Can not update a value for "org_id" outside of the scope of the query')
+		expect(new QueryBuilder().table('users').where('id', 1).update({ name: 'A', org_id: 7 }))
+			.toBe('UPDATE "users" SET "name" = :p1, "org_id" = :p2 WHERE ("id" = :p3 AND "users"."org_id" = :p4)')
+
+		expect(() => new QueryBuilder().table('users').insert(sub => sub.table('invites').select('email'), ['email']))
+			.toThrow('Can not insert the rows of a query into a table scoped by "org_id"')
+		expect(() => new QueryBuilder().table('users').insert(new QueryBuilder().table('invites').property('email'), ['email']))
+			.toThrow(Error)
+		expect(new QueryBuilder().table('users').unscoped('tenant').insert(sub => sub.table('invites').select('email'), ['email']))
+			.toBe('INSERT INTO "users" ("email") SELECT "email" FROM "invites"')
+
+		const schema = QB.Table('countries', { code: 'text' })
+		expect(() => new QueryBuilder().table(schema).where('code', 'GB').update({ code: 'UK' }))
+			.toThrow('Scope "tenant" uses columns that are not declared by table "countries": org_id')
+	} finally {
+		QB.removeScope('tenant')
+	}
+})
+
+test('Applies object and Sql scopes only to the tables they list', () => {
+	QB.addScope('tenant', { org_id: 7 }, { tables: [QB.Table('users', { id: 'integer', org_id: 'integer' })] })
+	QB.addScope('visible', { hidden: false }, { tables: ['comments'] })
+	try {
+		const users = QB.Table('users', { id: 'integer', org_id: 'integer' })
+		expect(new QueryBuilder().table(users).join('orgs', QB.Where('orgs.id', QB.Column('users.org_id'))).select('users.id'))
+			.toBe('SELECT "users"."id" FROM "users" JOIN "orgs" ON "orgs"."id" = "users"."org_id" WHERE "users"."org_id" = :p1')
+		expect(new QueryBuilder().table('users').select()).toBe('SELECT FROM "users" WHERE "users"."org_id" = :p1')
+		expect(new QueryBuilder().table('orgs').select()).toBe('SELECT FROM "orgs"')
+
+		const builder = new QueryBuilder()
+			.with('tree', QB.UnionAll(
+				anchor => anchor.table('comments').where('id', 7).select('id'),
+				recursive => recursive.table('comments')
+					.join('tree', QB.Where('comments.parent_id', QB.Column('tree.id')))
+					.select('comments.id')
+			), { recursive: true, columns: ['id'] })
+			.table('tree')
+			.join('comments', QB.Where('comments.id', QB.Column('tree.id')))
+		expect(builder.select('tree.id')).toBe([
+			'WITH RECURSIVE "tree" ("id") AS (SELECT "id" FROM "comments" WHERE ("id" = :p1 AND "comments"."hidden" = :p2)',
+			'UNION ALL SELECT "comments"."id" FROM "comments" JOIN "tree" ON "comments"."parent_id" = "tree"."id"',
+			'WHERE "comments"."hidden" = :p3)',
+			'SELECT "tree"."id" FROM "tree" JOIN "comments" ON ("comments"."id" = "tree"."id" AND "comments"."hidden" = :p4)',
+		].join(' '))
+
+		expect(() => QB.addScope('live', QB.IsNull('archived_at')))
+			.toThrow('Must provide the tables to scope with an object or Sql condition')
+		expect(() => QB.addScope('live', { archived: false })).toThrow(TypeError)
+	} finally {
+		QB.removeScope('tenant')
+		QB.removeScope('visible')
+	}
+})
+
+test('Queries can opt out of registered scopes', () => {
+	QB.addScope('tenant', { org_id: 7 }, { tables: ['users'] })
+	QB.addScope('active', { active: true }, { tables: ['users'] })
+	try {
+		const builder = new QueryBuilder({ immutable: true }).table('users')
+
+		expect(builder.unscoped('tenant').select()).toBe('SELECT FROM "users" WHERE "users"."active" = :p1')
+		expect(builder.unscoped().select()).toBe('SELECT FROM "users"')
+		expect(builder.select()).toBe('SELECT FROM "users" WHERE ("users"."org_id" = :p1 AND "users"."active" = :p2)')
+		expect(QB.fromJSON(JSON.parse(JSON.stringify(builder.unscoped('active')))).select())
+			.toBe('SELECT FROM "users" WHERE "users"."org_id" = :p1')
+	} finally {
+		QB.removeScope('tenant')
+		QB.removeScope('active')
+	}
+})
+
+test('Extends builders with chainable methods', () => {
+	const unregister = QB.extend({
+		methods: {
+			whereActive: (builder, active = true) => builder.where('active', active),
+			recent: (builder, count) => builder.order('created_at', 'DESC').limit(count),
+		},
+	})
+	const unregisterBroken = QB.extend({ methods: { broken: () => 'SELECT 1' } })
+
+	try {
+		const base = new QueryBuilder({ immutable: true }).table('posts')
+		expect(base.whereActive().recent(5).select('id'))
+			.toBe('SELECT "id" FROM "posts" WHERE "active" = :p1 ORDER BY "created_at" DESC LIMIT 5')
+		expect(base.select('id')).toBe('SELECT "id" FROM "posts"')
+		const nested = QB.SubSelect(sub => sub.table('posts').whereActive(false).select('user_id'))
+		expect(new QueryBuilder().table('users').where(QB.In('id', nested)).select())
+			.toBe('SELECT FROM "users" WHERE "id" IN (SELECT "user_id" FROM "posts" WHERE "active" = :p1)')
+
+		expect(() => QB.extend({ methods: { where: builder => builder } })).toThrow('QueryBuilder already has a method with that name')
+		expect(() => QB.extend({ methods: { _finalise: builder => builder, toString: builder => builder } })).toThrow(Error)
+		expect(() => QB.extend({ methods: { whereActive: builder => builder } })).toThrow(Error)
+
+		expect(() => new QueryBuilder().broken()).toThrow('Method "broken" must return a QueryBuilder')
+	} finally {
+		unregister()
+		unregisterBroken()
+	}
+
+	expect(QB.prototype.whereActive).toBeUndefined()
+	expect(QB.prototype.recent).toBeUndefined()
+	expect(QB.prototype.broken).toBeUndefined()
+	expect(QB.prototype.where).toBeInstanceOf(Function)
+})
+
+test('Extends builders with custom SQL types', () => {
+	class Distance extends QB.Sql {
+		constructor(column, lat, lng) {
+			super()
+			this._column = new QB.types.Column(column)
+			this._point = [QB.Literal(lat), QB.Literal(lng)]
+		}
+
+		toSql() {
+			return `${ this._column.toSql() } <-> point(${ this._point.map(value => value.toSql()).join(', ') })`
+		}
+	}
+	const unregister = QB.extend({ types: { Distance } })
+
+	try {
+		const builder = new QueryBuilder().table('shops')
+			.where(QB.Distance('location', 51.5, -0.1), 10, '<')
+			.order(QB.Order(QB.Distance('location', 51.5, -0.1)))
+		const expected = {
+			text: 'SELECT "id" FROM "shops" WHERE "location" <-> point($1, $2) < $3 ORDER BY "location" <-> point($4, $5)',
+			values: [51.5, -0.1, 10, 51.5, -0.1],
+		}
+
+		expect(builder.compile('select', { style: 'positional' }, 'id')).toEqual(expected)
+		expect(QB.Distance('location', 1, 2)).toBeInstanceOf(QB.types.Distance)
+		expect(QB.fromJSON(JSON.parse(JSON.stringify(builder))).compile('select', { style: 'positional' }, 'id')).toEqual(expected)
+
+		const types = []
+		builder.visit({ Distance: json => types.push(json.properties._column.name) })
+		expect(types).toEqual(['location', 'location'])
+
+		expect(() => QB.extend({ types: { Where: class Where extends QB.Sql {} } })).toThrow('QueryBuilder already has a type')
+		expect(() => QB.extend({ types: { Point: class Point {} } })).toThrow('Type "Point" must be a class extending Sql')
+		expect(() => QB.extend({ types: { Point: Distance } })).toThrow(TypeError)
+	} finally {
+		unregister()
+	}
+
+	expect(QB.Distance).toBeUndefined()
+	expect(QB.types.Distance).toBeUndefined()
+	expect(() => QB.fromJSON({ type: 'Distance', properties: {} })).toThrow('Unknown SQL object type "Distance"')
+})